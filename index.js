@@ -13,16 +13,33 @@ import {
     messageFormatting,
     getRequestHeaders,
     characters,
+    getCharacters,
     openCharacterChat,
-    saveChatConditional
+    saveChatConditional,
+    selectCharacterById,
+    reloadCurrentChat,
 } from '../../../../script.js';
 
 import {
     select_group_chats,
     selected_group,
     select_group_chats as selectGroupChatFile,
+    groups,
+    editGroup,
+    deleteGroupChat,
 } from '../../../group-chats.js';
 
+import {
+    world_info,
+    loadWorldInfo,
+    saveWorldInfo,
+    updateWorldInfoList,
+    METADATA_KEY as WORLD_INFO_METADATA_KEY,
+} from '../../../world-info.js';
+
+import { power_user } from '../../../power-user.js';
+import { user_avatar, setUserAvatar } from '../../../personas.js';
+
 import {
     getContext,
     renderExtensionTemplateAsync,
@@ -36,8 +53,16 @@ import {
     POPUP_RESULT,
 } from '../../../popup.js';
 
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+
 import {
     timestampToMoment,
+    download,
+    escapeHtml,
+    getStringHash,
+    getCharaFilename,
 } from '../../../utils.js'
 
 // 插件文件夹名称 (用于加载模板)
@@ -53,19 +78,162 @@ let backupManagerPopup = null;
 
 // IndexedDB 数据库名称和版本
 const DB_NAME = 'ST_ChatAutoBackup_v2'; // 使用新的数据库名称或版本以避免与旧数据冲突
-const DB_VERSION = 1;
-// 修改对象存储，以适应新的备份数据结构
+const DB_VERSION = 7;
+// 修改对象存储，以适应新的备份数据结构 (版本 4 起只保存元数据，供列表、搜索和清理读取)
 const STORE_NAME = 'backups_v2';
+// 搜索索引对象存储: 每个备份一条记录，保存便于检索的消息文本 (保存备份时维护)
+const SEARCH_STORE_NAME = 'backup_search_index';
+// 备份负载对象存储: 与元数据同键，保存 (可能已压缩的) 聊天内容，预览或恢复时按需读取
+const PAYLOAD_STORE_NAME = 'backup_payloads';
+// 回收站对象存储: 被删除或自动清理的备份 (完整内容) 在这里保留一段时间
+const TRASH_STORE_NAME = 'backup_trash';
 
 // 备份状态控制
 let isBackupInProgress = false; // 并发控制标志
 let backupTimeout = null;       // 防抖定时器 ID
 
+// 设置结构版本 (用于迁移旧版本的设置)
+const SETTINGS_VERSION = 2;
+
 // 默认设置
 const DEFAULT_SETTINGS = {
-    maxTotalBackups: 10,     // 最大备份数量
+    maxBackupsPerChat: 3,     // 每个聊天保留的最近备份数
+    maxBackupsPerEntity: 10,  // 每个角色/群组保留的备份总数
+    maxTotalBackups: 50,      // 系统最大备份数量 (全局上限)
+    gfsKeepHourly: 0,         // 额外按小时保留的备份数 (0 为关闭)
+    gfsKeepDaily: 0,          // 额外按天保留的备份数 (0 为关闭)
+    gfsKeepWeekly: 0,         // 额外按周保留的备份数 (0 为关闭)
+    safetySnapshotHours: 24,  // 危险操作前的快照在多少小时内不参与自动清理 (0 为不保护)
+    maxStorageMB: 0,          // 备份占用的存储预算 (MB，0 为不限制)
+    trashRetentionDays: 7,    // 删除和自动清理的备份在回收站中保留的天数 (0 为直接永久删除)
+    storageMode: 'full',      // 存储模式: 'full' 完整快照 / 'delta' 基准快照 + 增量
+    captureContextState: false, // 同时备份角色卡、关联的世界书、用户角色和群组成员
+    encryption: null,         // 启用加密时为 { salt, iterations, verifier }，口令本身不保存
+    syncEnabled: false,       // 将备份同步到服务器插件，其他设备可列出和恢复
+    syncTarget: 'server',     // 同步目标 (见 SYNC_TARGETS)
     backupDebounceDelay: 1500, // 备份防抖延迟(毫秒)
-    debug: false              // 调试模式
+    backupIntervalMinutes: 0, // 定时备份间隔 (分钟，0 为关闭)
+    debug: false,             // 调试模式
+    settingsVersion: SETTINGS_VERSION,
+};
+
+// 可选的存储模式
+const STORAGE_MODES = ['full', 'delta'];
+
+// 增量超过消息总数的这个比例时，改为保存新的完整基准快照
+const DELTA_REBASE_RATIO = 0.5;
+
+// 跨备份搜索返回的最大结果数
+const SEARCH_MAX_RESULTS = 200;
+
+// 预览阅读器每页显示的消息数
+const PREVIEW_PAGE_SIZE = 20;
+
+// 对比时逐项计算 LCS 的规模上限 (消息数或词数的乘积)，超出后退化为按位置对齐
+const DIFF_MAX_LCS_CELLS = 4000000;
+
+// 导出归档格式标识和版本
+const ARCHIVE_FORMAT = 'st-chat-auto-backup-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_MANIFEST_NAME = 'manifest.json';
+// 加密归档中保存密文 (内层完整归档) 的文件名
+const ENCRYPTED_ARCHIVE_PAYLOAD_NAME = 'archive.bin';
+
+// 聊天标识版本: 2 表示角色备份使用头像文件名 (而非角色数组索引) 作为实体ID
+const CHAT_IDENTITY_VERSION = 2;
+
+// 备份相对于同一聊天上一个备份的变更类型及其显示名称
+const CHANGE_TYPE_LABELS = {
+    initial: '首次备份',
+    append: '新消息',
+    edit: '编辑',
+    delete: '删除',
+    swipe: '切换回复',
+    metadata: '聊天设置',
+};
+
+// 自动创建的特殊备份的触发原因及其显示名称
+const BACKUP_TRIGGER_LABELS = {
+    'pre-restore-inplace': '原位恢复前',
+    'pre-restore': '恢复备份前',
+    'pre-partial-restore': '部分恢复前',
+    'pre-delete-message': '删除消息前',
+    'pre-delete-chat': '删除聊天前',
+    'pre-new-chat': '开始新聊天前',
+    'pre-regenerate': '重新生成前',
+    'pre-branch': '创建分支前',
+    'pre-clear-chat': '清空聊天前',
+    // 旧版本在 /cut、/del 执行前拍摄的快照 (现在统一记为删除消息前)
+    'pre-cut': '/cut 前',
+    'pre-del': '/del 前',
+};
+
+// 备份进入回收站的原因及其显示名称
+const TRASH_REASON_LABELS = {
+    manual: '手动删除',
+    prune: '自动清理',
+};
+
+// 危险操作对应的界面元素 (在捕获阶段监听点击，赶在 SillyTavern 修改聊天之前拍摄快照)
+const SAFETY_CLICK_TRIGGERS = [
+    { selector: '.mes_edit_delete', trigger: 'pre-delete-message' },
+    { selector: '#dialogue_del_mes_ok', trigger: 'pre-delete-message' },
+    { selector: '.mes_create_branch', trigger: 'pre-branch' },
+    { selector: '#option_start_new_chat', trigger: 'pre-new-chat' },
+    { selector: '.PastChat_cross', trigger: 'pre-delete-chat' },
+];
+
+// 刷新聊天基线的事件 (聊天内容新增或改变之后)
+const SAFETY_BASELINE_EVENTS = [
+    'CHAT_CHANGED', 'MESSAGE_SENT', 'MESSAGE_RECEIVED', 'MESSAGE_EDITED', 'MESSAGE_SWIPED', 'MESSAGE_UPDATED',
+    'GENERATION_ENDED', 'CHARACTER_FIRST_MESSAGE_SELECTED',
+];
+// 连续的 MESSAGE_DELETED (如 /cut 一次删除多条) 视为同一次删除，间隔超过该值 (毫秒) 才重新记录基线
+const SAFETY_DELETION_BURST_MS = 1000;
+
+// 恢复流程的步骤及其显示名称
+const RESTORE_STEPS = [
+    { key: 'switch', label: '切换到目标角色/群组' },
+    { key: 'build', label: '构建聊天文件' },
+    { key: 'save', label: '保存聊天文件' },
+    { key: 'load', label: '加载恢复的聊天' },
+    { key: 'verify', label: '校验消息数量' },
+];
+// 等待 SillyTavern 完成聊天切换 (CHAT_CHANGED) 的最长时间 (毫秒)
+const RESTORE_EVENT_TIMEOUT = 20000;
+
+// 备份对象中存放聊天内容的字段 (其余字段为元数据)
+const PAYLOAD_FIELDS = ['rawChatData', 'groupMetadata', 'delta', 'contextState'];
+
+// 存储记录的负载格式版本: 1 (或缺省) 为明文结构化对象，2 为压缩后的 JSON 二进制
+const PAYLOAD_FORMAT_PLAIN = 1;
+const PAYLOAD_FORMAT_COMPRESSED = 2;
+// 3 为加密后的负载 (sealedPayload)
+const PAYLOAD_FORMAT_ENCRYPTED = 3;
+const PAYLOAD_COMPRESSION = 'gzip';
+// 存储在负载对象存储中的字段
+const PAYLOAD_RECORD_FIELDS = [...PAYLOAD_FIELDS, 'compressedPayload', 'payloadFormat', 'payloadEncoding', 'sealedPayload'];
+// 启用加密后仍保持明文的元数据字段 (数据库键、保留策略、存储预算和列表排序所需)，其余元数据一律加密
+// chatKey 和 entityId 含角色头像文件名 (或群组 ID) 和聊天文件名，会以明文出现在本地数据库和同步目标中，界面中需如实说明
+const PLAIN_META_FIELDS = [
+    'chatKey', 'timestamp', 'entityId', 'isGroup', 'identityVersion',
+    'storageType', 'baseTimestamp', 'pinned', 'trigger', 'safety', 'size', 'lastMessageId',
+    'deletedAt', 'deleteReason',
+];
+
+// 数值设置的合法范围 (初始化校验与设置面板输入共用)
+const SETTINGS_LIMITS = {
+    maxBackupsPerChat: { min: 1, max: 100 },
+    maxBackupsPerEntity: { min: 1, max: 500 },
+    maxTotalBackups: { min: 1, max: 1000 },
+    gfsKeepHourly: { min: 0, max: 168 },
+    gfsKeepDaily: { min: 0, max: 90 },
+    gfsKeepWeekly: { min: 0, max: 52 },
+    maxStorageMB: { min: 0, max: 102400 },
+    trashRetentionDays: { min: 0, max: 365 },
+    safetySnapshotHours: { min: 0, max: 720 },
+    backupDebounceDelay: { min: 300, max: 10000 },
+    backupIntervalMinutes: { min: 0, max: 1440 },
 };
 
 // --- 日志函数 ---
@@ -87,20 +255,42 @@ function initSettings() {
     // 确保设置结构完整
     const settings = extension_settings[PLUGIN_NAME];
 
+    // 迁移旧版本设置: 旧版只有一个全局上限 maxTotalBackups (最大为 10)
+    if ((settings.settingsVersion ?? 1) < 2) {
+        const legacyTotal = settings.maxTotalBackups;
+        if (typeof legacyTotal === 'number' && legacyTotal >= 1) {
+            // 旧的全局上限同时作为每个聊天的上限，避免升级后保留的备份突然变多
+            settings.maxBackupsPerChat = Math.min(legacyTotal, DEFAULT_SETTINGS.maxBackupsPerChat);
+            // 旧默认值 10 只是全局上限，升级为新的默认全局上限
+            settings.maxTotalBackups = legacyTotal === 10 ? DEFAULT_SETTINGS.maxTotalBackups : legacyTotal;
+        }
+        logDebug(`设置已从版本 ${settings.settingsVersion ?? 1} 迁移到 ${SETTINGS_VERSION}`);
+        settings.settingsVersion = SETTINGS_VERSION;
+    }
+
     // 确保所有设置都存在 (使用 ?? 运算符提供默认值)
-    settings.maxTotalBackups = settings.maxTotalBackups ?? DEFAULT_SETTINGS.maxTotalBackups;
-    settings.backupDebounceDelay = settings.backupDebounceDelay ?? DEFAULT_SETTINGS.backupDebounceDelay;
-    settings.debug = settings.debug ?? DEFAULT_SETTINGS.debug;
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        settings[key] = settings[key] ?? DEFAULT_SETTINGS[key];
+    }
 
-    // 验证设置合理性
-    if (typeof settings.maxTotalBackups !== 'number' || settings.maxTotalBackups < 1) {
-        console.warn(`[${pluginId}] 无效的最大备份数 ${settings.maxTotalBackups}，重置为默认值 ${DEFAULT_SETTINGS.maxTotalBackups}`);
-        settings.maxTotalBackups = DEFAULT_SETTINGS.maxTotalBackups;
+    // 验证数值设置的合理性
+    for (const [key, { min, max }] of Object.entries(SETTINGS_LIMITS)) {
+        const value = settings[key];
+        if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+            console.warn(`[${pluginId}] 无效的设置 ${key}=${value}，重置为默认值 ${DEFAULT_SETTINGS[key]}`);
+            settings[key] = DEFAULT_SETTINGS[key];
+        }
+    }
+
+    if (!STORAGE_MODES.includes(settings.storageMode)) {
+        console.warn(`[${pluginId}] 无效的存储模式 ${settings.storageMode}，重置为默认值 ${DEFAULT_SETTINGS.storageMode}`);
+        settings.storageMode = DEFAULT_SETTINGS.storageMode;
     }
 
-    if (typeof settings.backupDebounceDelay !== 'number' || settings.backupDebounceDelay < 300) {
-        console.warn(`[${pluginId}] 无效的防抖延迟 ${settings.backupDebounceDelay}，重置为默认值 ${DEFAULT_SETTINGS.backupDebounceDelay}`);
-        settings.backupDebounceDelay = DEFAULT_SETTINGS.backupDebounceDelay;
+    // 调试专用的目标在调试模式关闭时同样重置
+    if (!isSyncTargetAvailable(settings.syncTarget)) {
+        console.warn(`[${pluginId}] 无效的同步目标 ${settings.syncTarget}，重置为默认值 ${DEFAULT_SETTINGS.syncTarget}`);
+        settings.syncTarget = DEFAULT_SETTINGS.syncTarget;
     }
 
     logDebug('插件设置初始化完成:', settings);
@@ -127,19 +317,209 @@ function initDatabase() {
 
         request.onupgradeneeded = function(event) {
             const db = event.target.result;
+            const transaction = event.target.transaction;
             console.log(`[${pluginId}] 数据库升级中 (版本 ${event.oldVersion} -> ${event.newVersion})`);
-            // 如果是新创建或从旧版本升级，删除旧的存储并创建新的
-            if (db.objectStoreNames.contains(STORE_NAME)) {
-                db.deleteObjectStore(STORE_NAME);
-                console.log(`[${pluginId}] 删除了旧的对象存储 ${STORE_NAME}`);
-            }
-            const store = db.createObjectStore(STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
-            store.createIndex('chatKey', 'chatKey', { unique: false });
-            console.log(`[${pluginId}] 创建了新的备份对象存储 ${STORE_NAME} 和索引`);
+
+            // 版本 1: 创建备份对象存储
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
+                store.createIndex('chatKey', 'chatKey', { unique: false });
+                console.log(`[${pluginId}] 创建了新的备份对象存储 ${STORE_NAME} 和索引`);
+            }
+
+            // 版本 3: 创建搜索索引对象存储
+            if (!db.objectStoreNames.contains(SEARCH_STORE_NAME)) {
+                const searchStore = db.createObjectStore(SEARCH_STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
+                searchStore.createIndex('chatKey', 'chatKey', { unique: false });
+                console.log(`[${pluginId}] 创建了搜索索引对象存储 ${SEARCH_STORE_NAME}`);
+            }
+
+            // 版本 4: 创建备份负载对象存储
+            if (!db.objectStoreNames.contains(PAYLOAD_STORE_NAME)) {
+                const payloadStore = db.createObjectStore(PAYLOAD_STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
+                payloadStore.createIndex('chatKey', 'chatKey', { unique: false });
+                console.log(`[${pluginId}] 创建了备份负载对象存储 ${PAYLOAD_STORE_NAME}`);
+            }
+
+            // 版本 5: 创建回收站对象存储，按删除时间建立索引以便清理过期项
+            if (!db.objectStoreNames.contains(TRASH_STORE_NAME)) {
+                const trashStore = db.createObjectStore(TRASH_STORE_NAME, { keyPath: ['chatKey', 'timestamp'] });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                console.log(`[${pluginId}] 创建了回收站对象存储 ${TRASH_STORE_NAME}`);
+            }
+
+            // 版本 6: 搜索索引改为按词索引并压缩消息文本，旧的索引清空后在数据库打开后重建
+            const searchStore = transaction.objectStore(SEARCH_STORE_NAME);
+            if (!searchStore.indexNames.contains('tokens')) {
+                searchStore.clear();
+                searchStore.createIndex('tokens', 'tokens', { unique: false, multiEntry: true });
+                searchIndexRebuildPending = event.oldVersion >= 1;
+                console.log(`[${pluginId}] 搜索索引已改为按词索引，将在后台重建`);
+            }
+
+            // 版本 7: 元数据不再保存逐条消息的哈希 (版本 4 之前的记录在下面拆分负载时一并去掉)
+            if (event.oldVersion >= 4 && event.oldVersion < 7) {
+                stripLegacyFingerprintFields(transaction.objectStore(STORE_NAME));
+                if (event.oldVersion >= 5) {
+                    stripLegacyFingerprintFields(transaction.objectStore(TRASH_STORE_NAME));
+                }
+            }
+
+            // 迁移已有数据 (不删除任何备份)
+            if (event.oldVersion >= 1 && event.oldVersion < 4) {
+                const store = transaction.objectStore(STORE_NAME);
+                const payloadStore = transaction.objectStore(PAYLOAD_STORE_NAME);
+                const getAllRequest = store.getAll();
+                getAllRequest.onsuccess = () => {
+                    let records = getAllRequest.result || [];
+
+                    // 版本 2: 角色备份改用头像文件名作为标识，重新键入已有记录
+                    if (event.oldVersion < 2) {
+                        const result = migrateLegacyRecords(store, records);
+                        records = result.records;
+                        console.log(`[${pluginId}] 升级时重新键入了 ${result.migrated} 个旧备份，${result.pending} 个待角色列表加载后再迁移`);
+                    }
+
+                    // 版本 3 的搜索索引由版本 6 的重建统一建立
+
+                    // 版本 4: 把聊天内容移到负载存储，元数据存储只保留列表需要的字段
+                    records.forEach(record => {
+                        const { meta, payload } = splitStoredRecord(record);
+                        LEGACY_FINGERPRINT_FIELDS.forEach(field => delete meta[field]);
+                        meta.size ??= getStoredRecordSize(record);
+                        store.put(meta);
+                        if (payload) payloadStore.put(payload);
+                    });
+                    console.log(`[${pluginId}] 已将 ${records.length} 个备份的聊天内容拆分到负载存储`);
+                };
+            }
         };
     });
 }
 
+// 旧版本写入元数据的逐条消息指纹字段
+const LEGACY_FINGERPRINT_FIELDS = ['messageHashes', 'swipeMarks'];
+
+// 去掉存储中明文记录的逐条消息指纹 (加密记录的这些字段在密文中，解密时忽略)
+function stripLegacyFingerprintFields(store) {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const record = cursor.value;
+        if (LEGACY_FINGERPRINT_FIELDS.some(field => field in record)) {
+            LEGACY_FINGERPRINT_FIELDS.forEach(field => delete record[field]);
+            cursor.update(record);
+        }
+        cursor.continue();
+    };
+}
+
+// 在旧版 (数组索引) 的角色标识和角色头像文件名之间建立映射
+// 索引对应的角色名与备份中的实体名一致时直接采用，否则按名称唯一匹配
+function resolveLegacyCharacterAvatar(legacyIndex, entityName) {
+    const indexed = characters?.[Number(legacyIndex)];
+    if (indexed?.avatar && indexed.name === entityName) {
+        return indexed.avatar;
+    }
+    const byName = (characters || []).filter(char => char.name === entityName);
+    return byName.length === 1 ? byName[0].avatar : null;
+}
+
+/**
+ * 将旧版标识的备份记录重新键入到新的 chatKey (在给定的读写存储上执行)
+ * 同一个旧 chatKey 的记录使用同一个映射，保证增量备份和它的基准快照一起迁移
+ * @param {IDBObjectStore} store 可读写的备份存储
+ * @param {object[]} records 要检查的备份记录
+ * @param {IDBObjectStore[]} [relatedStores] 与备份同键的其他可读写存储 (搜索索引、负载)，其中的记录会一起改写键
+ * @returns {{migrated: number, pending: number, records: object[]}} 已迁移数量、因角色列表未加载而暂缓的数量，以及迁移后的全部记录
+ */
+function migrateLegacyRecords(store, records, relatedStores = []) {
+    const legacyByChat = new Map();
+    records
+        .filter(record => (record.identityVersion ?? 1) < CHAT_IDENTITY_VERSION)
+        .forEach(record => {
+            if (!legacyByChat.has(record.chatKey)) legacyByChat.set(record.chatKey, []);
+            legacyByChat.get(record.chatKey).push(record);
+        });
+
+    let migrated = 0, pending = 0;
+    const migratedRecords = new Map();
+    legacyByChat.forEach((chatRecords, legacyChatKey) => {
+        const latest = chatRecords.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+        let entityId = latest.entityId;
+        let chatKey = legacyChatKey;
+
+        if (!latest.isGroup) {
+            const avatar = resolveLegacyCharacterAvatar(latest.entityId, latest.entityName);
+            if (!avatar) {
+                pending += chatRecords.length;
+                return;
+            }
+            const chatId = legacyChatKey.slice(`char_${latest.entityId}_`.length);
+            entityId = avatar;
+            chatKey = `char_${avatar}_${chatId}`;
+        }
+
+        chatRecords.forEach(record => {
+            const oldKey = [record.chatKey, record.timestamp];
+            if (chatKey !== legacyChatKey) {
+                store.delete(oldKey);
+                // 负载可能已压缩，无法在事务内同步重建搜索索引，直接改写已有记录的键
+                relatedStores.forEach(relatedStore => {
+                    const request = relatedStore.get(oldKey);
+                    request.onsuccess = () => {
+                        if (!request.result) return;
+                        relatedStore.delete(oldKey);
+                        relatedStore.put({ ...request.result, chatKey });
+                    };
+                });
+            }
+            const updated = { ...record, chatKey, entityId, identityVersion: CHAT_IDENTITY_VERSION };
+            store.put(updated);
+            migratedRecords.set(record, updated);
+            migrated++;
+        });
+    });
+    return { migrated, pending, records: records.map(record => migratedRecords.get(record) ?? record) };
+}
+
+// 迁移数据库升级时因角色列表尚未加载而未能重新键入的旧备份
+async function migrateLegacyChatKeys() {
+    const db = await getDB();
+    try {
+        const result = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME, SEARCH_STORE_NAME, PAYLOAD_STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            let migrationResult = { migrated: 0, pending: 0 };
+
+            transaction.oncomplete = () => resolve(migrationResult);
+            transaction.onerror = (event) => {
+                console.error(`[${pluginId}] 迁移旧备份标识事务失败:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            const request = store.getAll();
+            request.onsuccess = () => {
+                migrationResult = migrateLegacyRecords(store, request.result || [], [
+                    transaction.objectStore(SEARCH_STORE_NAME),
+                    transaction.objectStore(PAYLOAD_STORE_NAME),
+                ]);
+            };
+        });
+        if (result.migrated || result.pending) {
+            logDebug(`旧备份标识迁移: 完成 ${result.migrated} 个，仍无法识别 ${result.pending} 个`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`[${pluginId}] migrateLegacyChatKeys 失败:`, error);
+        return { migrated: 0, pending: 0 };
+    }
+}
+
+// 数据库升级清空了旧格式的搜索索引，打开后需要重建
+let searchIndexRebuildPending = false;
+
 // 获取数据库连接 (使用连接池)
 let dbConnection = null; // 连接池实例
 async function getDB() {
@@ -156,15 +536,85 @@ async function getDB() {
 }
 
 
-// 保存备份到 IndexedDB (适应新结构)
-async function saveBackupToDB(backup) {
+// 保存备份到 IndexedDB (增量模式下自动编码为基准快照或增量)，启用同步时在后台推送到同步目标
+// mirror 为 false 时不推送 (从同步目标下载的备份)
+async function saveBackupToDB(backup, { mirror = true } = {}) {
+    const settings = extension_settings[PLUGIN_NAME];
+    // 旧版本导出的备份可能带有逐条消息的指纹，不再保存
+    if (LEGACY_FINGERPRINT_FIELDS.some(field => field in backup)) {
+        backup = { ...backup };
+        LEGACY_FINGERPRINT_FIELDS.forEach(field => delete backup[field]);
+    }
+    // 导入或其他来源的备份可能没有内容指纹，保存时补上
+    if (backup.rawChatData && !backup.contentHash) {
+        backup = { ...backup, ...pickStoredFingerprint(computeChatFingerprint(backup)) };
+    }
+    const record = settings?.storageMode === 'delta' && backup.rawChatData
+        ? await encodeBackupAsDelta(backup)
+        : backup;
+    const searchEntry = backup.rawChatData && !isEncryptionEnabled() ? await buildSearchIndexEntry(backup) : null;
+    const prepared = await prepareStoredRecord(record, searchEntry);
+    // 按编码、压缩后的实际大小清理存储预算 (新增量引用的基准快照不会被清理)
+    if (settings?.maxStorageMB > 0) {
+        await enforceStorageBudget(getBackupStorageSize(prepared.meta), settings.maxStorageMB * 1024 * 1024, record);
+    }
+    await writeStoredRecord(prepared);
+    if (mirror) {
+        mirrorBackupToSyncTarget(backup);
+    }
+}
+
+// 将备份记录原样写入 IndexedDB (可同时在同一事务中写入它的搜索索引)
+// 元数据和聊天内容分别写入两个对象存储；不含聊天内容的记录只更新元数据
+// 搜索索引的大小记录在 searchSize 中；未写入新索引时保留原有的值
+// 启用加密时记录会先加密，且不写入明文的搜索索引
+async function putBackupRecord(backup, searchEntry = null) {
+    await writeStoredRecord(await prepareStoredRecord(backup, searchEntry));
+}
+
+// 将备份记录转换为待写入的元数据、负载和搜索索引 (压缩、加密并记录占用大小)
+async function prepareStoredRecord(backup, searchEntry = null) {
+    const encrypted = isEncryptionEnabled();
+    if (encrypted) {
+        assertBackupStoreUnlocked();
+        searchEntry = null;
+    }
+    if (searchEntry) {
+        backup = { ...backup, searchSize: getSearchEntrySize(searchEntry) };
+    }
+    let meta = stripBackupPayload(backup);
+    let payload = null;
+    if (PAYLOAD_FIELDS.some(field => backup[field] !== undefined)) {
+        let packed = await packBackupRecord(backup);
+        if (encrypted) packed = await sealBackupRecord(packed);
+        ({ meta, payload } = splitStoredRecord(packed));
+        // 记录实际存储的大小，供存储用量统计和按预算清理使用
+        meta.size = getStoredRecordSize(packed);
+    } else if (encrypted) {
+        meta = await sealBackupRecord(meta);
+    }
+    return { meta, payload, searchEntry };
+}
+
+// 在同一事务中写入 prepareStoredRecord 的结果
+async function writeStoredRecord({ meta, payload, searchEntry }) {
     const db = await getDB();
     try {
         await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const transaction = db.transaction([STORE_NAME, PAYLOAD_STORE_NAME, SEARCH_STORE_NAME], 'readwrite');
+
+            // 存储空间不足时事务会被中止，给出明确的提示而不是笼统的事务错误
+            transaction.onabort = (event) => {
+                const error = event.target.error;
+                if (error?.name === 'QuotaExceededError') {
+                    reject(new Error('浏览器存储空间不足，无法保存备份。请删除一些备份、设置存储预算或申请持久存储'));
+                } else {
+                    reject(error || new Error('保存备份事务被中止'));
+                }
+            };
 
             transaction.oncomplete = () => {
-                logDebug(`备份已保存到IndexedDB, 键: [${backup.chatKey}, ${backup.timestamp}]`);
+                logDebug(`备份已保存到IndexedDB, 键: [${meta.chatKey}, ${meta.timestamp}]`);
                 resolve();
             };
 
@@ -175,47 +625,86 @@ async function saveBackupToDB(backup) {
 
             const store = transaction.objectStore(STORE_NAME);
              // 使用 put() 覆盖或添加
-            store.put(backup);
+            store.put(meta);
+            if (payload) {
+                transaction.objectStore(PAYLOAD_STORE_NAME).put(payload);
+            }
+            if (searchEntry) {
+                transaction.objectStore(SEARCH_STORE_NAME).put(searchEntry);
+            }
         });
     } catch (error) {
-        console.error(`[${pluginId}] saveBackupToDB 失败:`, error);
+        console.error(`[${pluginId}] writeStoredRecord 失败:`, error);
         throw error;
     }
 }
 
-// 从 IndexedDB 获取指定备份 (适应新结构)
+// 从 IndexedDB 获取指定备份 (增量备份会还原为完整的聊天内容)
 async function getBackupFromDB(chatKey, timestamp) {
+    const record = await getBackupRecord(chatKey, timestamp);
+    if (!record || record.storageType !== 'delta') {
+        return record;
+    }
+    try {
+        return await materializeDeltaBackup(record);
+    } catch (error) {
+        console.error(`[${pluginId}] 还原增量备份失败:`, error);
+        return null; // 出错时返回 null
+    }
+}
+
+// 从 IndexedDB 获取指定备份的原始存储记录 (合并元数据和聊天内容，不还原增量)
+async function getBackupRecord(chatKey, timestamp) {
      const db = await getDB();
     try {
         return await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const transaction = db.transaction([STORE_NAME, PAYLOAD_STORE_NAME], 'readonly');
+            let meta, payload;
+
+            transaction.oncomplete = () => {
+                logDebug(`从IndexedDB获取了备份，键: [${chatKey}, ${timestamp}]`);
+                resolve(meta ? { ...meta, ...payload } : meta);
+            };
 
             transaction.onerror = (event) => {
                 console.error(`[${pluginId}] 获取指定备份事务失败:`, event.target.error);
                 reject(event.target.error);
             };
 
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.get([chatKey, timestamp]);
+            const metaRequest = transaction.objectStore(STORE_NAME).get([chatKey, timestamp]);
+            metaRequest.onsuccess = () => { meta = metaRequest.result; };
+            const payloadRequest = transaction.objectStore(PAYLOAD_STORE_NAME).get([chatKey, timestamp]);
+            payloadRequest.onsuccess = () => { payload = payloadRequest.result; };
+        }).then(unpackBackupRecord);
+    } catch (error) {
+        console.error(`[${pluginId}] getBackupRecord 失败:`, error);
+        return null; // 出错时返回 null
+    }
+}
 
-            request.onsuccess = () => {
-                logDebug(`从IndexedDB获取了备份，键: [${chatKey}, ${timestamp}]`, request.result);
-                resolve(request.result);
-            };
+// 从 IndexedDB 获取指定备份的元数据 (不读取聊天内容)
+async function getBackupMeta(chatKey, timestamp) {
+    const db = await getDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
 
-            request.onerror = (event) => {
-                console.error(`[${pluginId}] 获取指定备份失败:`, event.target.error);
+            transaction.onerror = (event) => {
+                console.error(`[${pluginId}] 获取备份元数据事务失败:`, event.target.error);
                 reject(event.target.error);
             };
-        });
+
+            const request = transaction.objectStore(STORE_NAME).get([chatKey, timestamp]);
+            request.onsuccess = () => resolve(request.result);
+        }).then(openSealedMeta);
     } catch (error) {
-        console.error(`[${pluginId}] getBackupFromDB 失败:`, error);
+        console.error(`[${pluginId}] getBackupMeta 失败:`, error);
         return null; // 出错时返回 null
     }
 }
 
 
-// 从 IndexedDB 获取指定聊天的所有备份 (适应新结构)
+// 从 IndexedDB 获取指定聊天的所有备份元数据 (不含聊天内容)
 async function getBackupsForChat(chatKey) {
     const db = await getDB();
     try {
@@ -241,7 +730,7 @@ async function getBackupsForChat(chatKey) {
                 console.error(`[${pluginId}] 获取备份失败:`, event.target.error);
                 reject(event.target.error);
             };
-        });
+        }).then(metas => Promise.all(metas.map(openSealedMeta)));
     } catch (error) {
         console.error(`[${pluginId}] getBackupsForChat 失败:`, error);
         return []; // 出错时返回空数组
@@ -280,15 +769,60 @@ async function getAllBackupKeys() {
     }
 }
 
-// 从 IndexedDB 删除指定备份
-async function deleteBackup(chatKey, timestamp) {
+// 从 IndexedDB 获取所有备份的元数据 (不含聊天内容，供清理和列表使用)
+async function getAllBackupsMeta() {
+    const db = await getDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+
+            transaction.onerror = (event) => {
+                console.error(`[${pluginId}] 获取备份元数据事务失败:`, event.target.error);
+                reject(event.target.error);
+            };
+
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                const metas = request.result || [];
+                logDebug(`从IndexedDB获取了 ${metas.length} 个备份的元数据`);
+                resolve(metas);
+            };
+
+            request.onerror = (event) => {
+                console.error(`[${pluginId}] 获取备份元数据失败:`, event.target.error);
+                reject(event.target.error);
+            };
+        }).then(metas => Promise.all(metas.map(openSealedMeta)));
+    } catch (error) {
+        console.error(`[${pluginId}] getAllBackupsMeta 失败:`, error);
+        return []; // 出错时返回空数组
+    }
+}
+
+/**
+ * 从 IndexedDB 删除指定备份 (若为增量备份依赖的基准快照，先将依赖它的增量改为基于新的基准)
+ * 启用回收站时，备份的完整内容会在同一事务中移入回收站
+ * @param {string} chatKey
+ * @param {number} timestamp
+ * @param {{reason?: 'manual'|'prune', permanent?: boolean}} [options] 删除原因；permanent 为 true 时不进入回收站
+ * @returns {Promise<boolean>} 是否已移入回收站
+ */
+async function deleteBackup(chatKey, timestamp, { reason = 'manual', permanent = false } = {}) {
+    const settings = extension_settings[PLUGIN_NAME];
+    // 必须在重建依赖它的增量之前还原，此时增量链仍然完整
+    const trashRecord = !permanent && settings?.trashRetentionDays > 0
+        ? await buildTrashRecord(chatKey, timestamp, reason)
+        : null;
+    await rebaseDependentDeltas(chatKey, timestamp);
     const db = await getDB();
     try {
         await new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const transaction = db.transaction([STORE_NAME, PAYLOAD_STORE_NAME, SEARCH_STORE_NAME, TRASH_STORE_NAME], 'readwrite');
 
             transaction.oncomplete = () => {
-                logDebug(`已从IndexedDB删除备份, 键: [${chatKey}, ${timestamp}]`);
+                logDebug(`已从IndexedDB删除备份, 键: [${chatKey}, ${timestamp}]${trashRecord ? ' (已移入回收站)' : ''}`);
                 resolve();
             };
 
@@ -299,7 +833,16 @@ async function deleteBackup(chatKey, timestamp) {
 
             const store = transaction.objectStore(STORE_NAME);
             store.delete([chatKey, timestamp]);
+            transaction.objectStore(PAYLOAD_STORE_NAME).delete([chatKey, timestamp]);
+            transaction.objectStore(SEARCH_STORE_NAME).delete([chatKey, timestamp]);
+            if (trashRecord) {
+                transaction.objectStore(TRASH_STORE_NAME).put(trashRecord);
+            }
         });
+        if (!trashRecord) {
+            mirrorBackupDeletion([[chatKey, timestamp]]);
+        }
+        return !!trashRecord;
     } catch (error) {
         console.error(`[${pluginId}] deleteBackup 失败:`, error);
         throw error;
@@ -307,760 +850,5520 @@ async function deleteBackup(chatKey, timestamp) {
 }
 
 
-// --- 聊天信息获取 (保持不变) ---
-function getCurrentChatKey() {
-    const context = getContext();
-    // logDebug('获取当前聊天标识符, context:',
-    //     {groupId: context.groupId, characterId: context.characterId, chatId: context.chatId}); // 避免过度日志
-    if (context.groupId) {
-        const key = `group_${context.groupId}_${context.chatId}`;
-        // logDebug('当前是群组聊天，chatKey:', key);
-        return key;
-    } else if (context.characterId !== undefined && context.chatId) { // 确保chatId存在
-        const key = `char_${context.characterId}_${context.chatId}`;
-        // logDebug('当前是角色聊天，chatKey:', key);
-        return key;
+// --- 回收站 ---
+// 构建回收站记录: 还原为完整备份 (不依赖其他记录)，并记录删除时间和原因
+async function buildTrashRecord(chatKey, timestamp, reason) {
+    const backup = await getBackupFromDB(chatKey, timestamp);
+    if (!backup) {
+        console.warn(`[${pluginId}] 无法读取备份 [${chatKey}, ${timestamp}] 的完整内容，将直接删除而不放入回收站`);
+        return null;
     }
-    // console.warn(`[${pluginId}] 无法获取当前聊天的有效标识符 (可能未选择角色/群组或聊天)`);
-    return null;
+    return buildStandaloneRecord({ ...backup, deletedAt: Date.now(), deleteReason: reason });
 }
 
-function getCurrentChatInfo() {
-    const context = getContext();
-    let chatName = '当前聊天', entityName = '未知实体', entityId = null, isGroup = false;
+// 获取回收站中所有条目 (不解压聊天内容)
+async function getTrashEntries() {
+    const db = await getDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readonly');
 
-    if (context.groupId) {
-        isGroup = true;
-        entityId = context.groupId;
-        const group = groups?.find(g => g.id === context.groupId);
-        entityName = group ? group.name : `群组 ${context.groupId}`;
-        chatName = context.chatId || '新聊天';
-        // logDebug('获取到群组聊天信息:', {entityName, chatName, entityId});
-    } else if (context.characterId !== undefined) {
-        isGroup = false;
-        entityId = String(context.characterId); // 角色ID是数字，转换为字符串方便统一处理
-        entityName = context.name2 || `角色 ${context.characterId}`;
-        const character = characters?.[context.characterId];
-        if (character && context.chatId) {
-             const chatFile = character.chat || context.chatId;
-             chatName = chatFile.substring(chatFile.lastIndexOf('/') + 1).replace('.jsonl', '');
-        } else {
-            chatName = context.chatId || '新聊天';
-        }
-        // logDebug('获取到角色聊天信息:', {entityName, chatName, entityId});
-    } else {
-        // console.warn(`[${pluginId}] 无法获取聊天实体信息，使用默认值`);
-    }
+            transaction.onerror = (event) => {
+                console.error(`[${pluginId}] 读取回收站事务失败:`, event.target.error);
+                reject(event.target.error);
+            };
 
-    return { entityName, chatName, entityId, isGroup };
+            const request = transaction.objectStore(TRASH_STORE_NAME).getAll();
+            request.onsuccess = () => resolve((request.result || []).map(stripBackupPayload));
+        }).then(entries => Promise.all(entries.map(openSealedMeta)));
+    } catch (error) {
+        console.error(`[${pluginId}] getTrashEntries 失败:`, error);
+        return [];
+    }
 }
 
+// 获取回收站中所有条目的主键 (不读取内容)
+async function getTrashKeys() {
+    const db = await getDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readonly');
+            transaction.onerror = (event) => reject(event.target.error);
+            const request = transaction.objectStore(TRASH_STORE_NAME).getAllKeys();
+            request.onsuccess = () => resolve(request.result || []);
+        });
+    } catch (error) {
+        console.error(`[${pluginId}] getTrashKeys 失败:`, error);
+        return [];
+    }
+}
 
-// --- 核心备份逻辑封装 (使用后端API获取文件内容) ---
-async function executeBackupLogic_Core(settings) {
-    const currentTimestamp = Date.now();
-    logDebug(`开始执行核心备份逻辑 @ ${new Date(currentTimestamp).toLocaleTimeString()}`);
+// 获取回收站中指定备份的完整内容
+async function getTrashRecord(chatKey, timestamp) {
+    const db = await getDB();
+    const record = await new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRASH_STORE_NAME], 'readonly');
+        transaction.onerror = (event) => reject(event.target.error);
+        const request = transaction.objectStore(TRASH_STORE_NAME).get([chatKey, timestamp]);
+        request.onsuccess = () => resolve(request.result);
+    });
+    return unpackBackupRecord(record);
+}
 
-    const chatKey = getCurrentChatKey();
-    if (!chatKey) {
-        console.warn(`[${pluginId}] 无有效的聊天标识符，跳过备份`);
-        return false;
+// 从回收站永久删除指定条目 (同时从同步目标删除；mirror 为 false 时只删除回收站中的记录)
+async function deleteTrashEntries(keys, { mirror = true } = {}) {
+    if (keys.length === 0) return;
+    const db = await getDB();
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([TRASH_STORE_NAME], 'readwrite');
+        transaction.oncomplete = () => {
+            logDebug(`已从回收站永久删除 ${keys.length} 个备份`);
+            resolve();
+        };
+        transaction.onerror = (event) => {
+            console.error(`[${pluginId}] 删除回收站条目事务失败:`, event.target.error);
+            reject(event.target.error);
+        };
+        const store = transaction.objectStore(TRASH_STORE_NAME);
+        keys.forEach(key => store.delete(key));
+    });
+    if (mirror) {
+        mirrorBackupDeletion(keys);
     }
+}
 
-    const { entityName, chatName, entityId, isGroup } = getCurrentChatInfo();
-     const context = getContext(); // 再次获取上下文，确保最新
+// 永久删除超过保留天数的回收站条目 (保留天数为 0 时清空回收站)，返回删除数量
+async function purgeExpiredTrash() {
+    const days = extension_settings[PLUGIN_NAME]?.trashRetentionDays ?? DEFAULT_SETTINGS.trashRetentionDays;
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const db = await getDB();
+    try {
+        const purged = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([TRASH_STORE_NAME], 'readwrite');
+            const keys = [];
+            transaction.oncomplete = () => resolve(keys);
+            transaction.onerror = (event) => reject(event.target.error);
 
-    if (!context.chat || context.chat.length === 0) {
-         logDebug('当前聊天内容为空，跳过备份');
-         return false;
+            const request = transaction.objectStore(TRASH_STORE_NAME).index('deletedAt').openKeyCursor(IDBKeyRange.upperBound(cutoff));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                transaction.objectStore(TRASH_STORE_NAME).delete(cursor.primaryKey);
+                keys.push(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+        if (purged.length > 0) {
+            logDebug(`回收站中 ${purged.length} 个过期备份已永久删除`);
+            mirrorBackupDeletion(purged);
+        }
+        return purged.length;
+    } catch (error) {
+        console.error(`[${pluginId}] 清理过期回收站条目失败:`, error);
+        return 0;
     }
+}
 
-    const lastMsgIndex = context.chat.length - 1;
-    const lastMessage = context.chat[lastMsgIndex];
-    const lastMessagePreview = lastMessage?.mes?.substring(0, 100) || '(空消息)';
+/**
+ * 将回收站中的备份放回备份列表 (按当前存储模式重新保存并重建搜索索引)
+ * @param {Array<[string, number]>} keys
+ * @returns {Promise<{restored: object[], failed: number}>} 已恢复的备份元数据和失败数量
+ */
+async function restoreBackupsFromTrash(keys) {
+    const restored = [];
+    let failed = 0;
+    // 按时间顺序放回，增量存储模式下较早的备份先成为基准
+    const sortedKeys = [...keys].sort((a, b) => a[1] - b[1]);
+    for (const [chatKey, timestamp] of sortedKeys) {
+        try {
+            const record = await getTrashRecord(chatKey, timestamp);
+            if (!record) throw new Error('回收站中找不到该备份');
+            if (await getBackupMeta(chatKey, timestamp)) throw new Error('备份列表中已存在相同的备份');
+
+            const { deletedAt, deleteReason, size, ...backup } = record;
+            await saveBackupToDB(backup);
+            await deleteTrashEntries([[chatKey, timestamp]], { mirror: false });
+            restored.push({ ...stripBackupPayload(backup), deleteReason });
+        } catch (error) {
+            console.error(`[${pluginId}] 从回收站恢复备份 [${chatKey}, ${timestamp}] 失败:`, error);
+            failed++;
+        }
+    }
+    return { restored, failed };
+}
 
-    logDebug(`准备备份聊天: ${entityName} - ${chatName}, 消息数: ${context.chat.length}, 最后消息ID: ${lastMsgIndex}`);
+// 撤销刚才的删除 (删除提示上的「撤销」)
+async function undoBackupDeletion(keys) {
+    const { restored, failed } = await restoreBackupsFromTrash(keys);
+    if (failed > 0) {
+        toastr.warning(`已撤销 ${restored.length} 个，${failed} 个无法恢复`, pluginId);
+    } else {
+        toastr.success(`已撤销删除，恢复了 ${restored.length} 个备份`, pluginId);
+    }
+    await updateBackupsList();
+    await renderTrashList();
+}
 
-    let rawChatData = null; // 将存储从API获取的原始数据
+// 删除完成后的提示；移入回收站时点击提示即可撤销
+function showDeletionToast(trashedKeys, deletedCount) {
+    const permanentCount = deletedCount - trashedKeys.length;
+    if (trashedKeys.length === 0) {
+        toastr.success(`已永久删除 ${deletedCount} 个备份`, pluginId);
+        return;
+    }
+    const permanentText = permanentCount > 0 ? ` (${permanentCount} 个无法读取，已直接删除)` : '';
+    // 只有「撤销」按钮会恢复备份，点击提示的其他位置只关闭提示
+    const $toast = toastr.success(`${trashedKeys.length} 个备份已移入回收站${permanentText}`, pluginId, {
+        timeOut: 10000,
+        extendedTimeOut: 5000,
+    });
+    const $undoButton = $('<button class="menu_button backup_toast_undo">撤销</button>');
+    $undoButton.one('click', (event) => {
+        event.stopPropagation();
+        toastr.clear($toast, { force: true });
+        undoBackupDeletion(trashedKeys);
+    });
+    $toast?.find('.toast-message').append($undoButton);
+}
 
-    try {
-        // 1. 通过后端API获取当前聊天文件的原始内容
-        if (isGroup) {
-            // 群组聊天：获取消息数组，并单独获取元数据
-            logDebug(`通过 API 获取群组聊天消息: ${entityId} - ${context.chatId}`);
-            const messagesResponse = await fetch('/api/chats/group/get', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({ id: context.chatId }), // 群组API使用chat_id作为id
-            });
-            if (!messagesResponse.ok) {
-                throw new Error(`获取群组聊天消息失败! 状态: ${messagesResponse.status}`);
-            }
-            rawChatData = await messagesResponse.json(); // 这是消息数组
+// 在回收站弹窗中渲染条目
+async function renderTrashList() {
+    const $list = $('.backup_trash_list');
+    if (!$list.length) return;
+
+    const entries = (await getTrashEntries()).sort((a, b) => b.deletedAt - a.deletedAt);
+    const days = extension_settings[PLUGIN_NAME]?.trashRetentionDays ?? DEFAULT_SETTINGS.trashRetentionDays;
+    const total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    $('.backup_trash_hint').text(days > 0
+        ? `共 ${entries.length} 个备份 (${formatBytes(total)})。删除和自动清理的备份会在这里保留 ${days} 天，之后永久删除；为满足存储预算删除的备份不进入回收站。`
+        : `共 ${entries.length} 个备份。回收站已关闭 (保留天数为 0)，新删除的备份将直接永久删除。`);
+    $('.backup_trash_restore_all, .backup_trash_empty').prop('disabled', entries.length === 0);
+
+    $list.empty();
+    if (entries.length === 0) {
+        $list.append('<div class="backup_empty_notice">回收站是空的</div>');
+        return;
+    }
 
-            // 获取群组元数据 (通常在 group 对象中)
-            const group = groups?.find(g => g.id === entityId);
-            const groupMetadata = group?.chat_metadata || {}; // 使用chat_metadata属性
-             logDebug('获取到群组元数据:', groupMetadata);
+    const format = timestamp => new Date(timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    entries.forEach(entry => {
+        const remainingDays = Math.max(0, Math.ceil((entry.deletedAt + days * 24 * 60 * 60 * 1000 - Date.now()) / (24 * 60 * 60 * 1000)));
+        const $item = $(`
+            <div class="backup_item backup_trash_item">
+                <div class="backup_info">
+                    <div class="backup_header">
+                        <span class="backup_entity"></span>
+                        <span class="backup_chat"></span>
+                        <span class="backup_tag">${TRASH_REASON_LABELS[entry.deleteReason] || entry.deleteReason || '已删除'}</span>
+                    </div>
+                    <div class="backup_details">
+                        <span class="backup_mesid">消息数: ${entry.lastMessageId + 1}</span>
+                        <span class="backup_date">备份于 ${format(entry.timestamp)}</span>
+                        <span class="backup_date">删除于 ${format(entry.deletedAt)} · 剩余 ${remainingDays} 天</span>
+                        ${entry.size ? `<span class="backup_size">${formatBytes(entry.size)}</span>` : ''}
+                    </div>
+                    <div class="backup_preview"></div>
+                </div>
+                <div class="backup_actions">
+                    <button class="menu_button backup_trash_restore" title="放回备份列表">恢复</button>
+                    <button class="menu_button danger_button backup_trash_purge" title="永久删除此备份">永久删除</button>
+                </div>
+            </div>
+        `);
+        $item.find('.backup_entity').text(entry.entityName || '未知实体');
+        $item.find('.backup_chat').text(entry.chatName || '未知聊天');
+        $item.find('.backup_preview').text(entry.lastMessagePreview || '');
+        $item.find('button').attr({ 'data-key': entry.chatKey, 'data-timestamp': entry.timestamp });
+        $list.append($item);
+    });
+}
 
-             // 将消息和元数据一起存储（或分开，取决于IndexedDB结构设计）
-             // 这里选择分开存储，恢复时再组合
-             rawChatData = { messages: rawChatData, metadata: groupMetadata };
+// 打开回收站弹窗
+async function openTrashPopup() {
+    if (!await unlockBackupStore()) return;
+    const content = $(`
+        <div class="backup_trash_popup">
+            <h3>回收站</h3>
+            <div class="backup_trash_hint"></div>
+            <div class="backup_trash_actions">
+                <button class="menu_button backup_trash_restore_all">全部恢复</button>
+                <button class="menu_button danger_button backup_trash_empty">清空回收站</button>
+            </div>
+            <div class="backup_trash_list backup_list"><div class="backup_empty_notice">加载中...</div></div>
+        </div>
+    `);
+    const popup = new Popup(content, POPUP_TYPE.TEXT, null, { wide: true, large: true, allowVerticalScrolling: true, okButton: '关闭' });
+    const shown = popup.show();
+    await renderTrashList();
+    await shown;
+}
 
 
-        } else {
-            // 角色聊天：获取包含元数据和消息的数组
-            logDebug(`通过 API 获取角色聊天文件内容: ${entityName} - ${context.chatId}`);
-            const character = characters?.[context.characterId];
-            if (!character) throw new Error(`找不到角色 ${context.characterId} 的信息`);
+// --- 增量存储 ---
+// 去掉备份对象中的聊天内容，只保留元数据
+function stripBackupPayload(backup) {
+    const meta = { ...backup };
+    PAYLOAD_RECORD_FIELDS.forEach(field => delete meta[field]);
+    return meta;
+}
 
-            const chatFile = character.chat || context.chatId; // 确保有文件名
+// 从完整备份中提取元数据头和消息数组 (角色: [metadata, ...messages]; 群组: 消息数组 + groupMetadata)
+function extractChatContent(backup) {
+    if (backup.isGroup) {
+        return {
+            metadata: backup.groupMetadata || {},
+            messages: Array.isArray(backup.rawChatData) ? backup.rawChatData : [],
+        };
+    }
+    const rawChatData = Array.isArray(backup.rawChatData) ? backup.rawChatData : [];
+    return {
+        metadata: rawChatData[0] || {},
+        messages: rawChatData.slice(1),
+    };
+}
 
-            const fileContentResponse = await fetch('/api/chats/get', {
-                method: 'POST',
-                headers: getRequestHeaders(),
-                body: JSON.stringify({
-                    ch_name: character.name,
-                    file_name: chatFile, // 文件名 (不带.jsonl)
-                    avatar_url: character.avatar,
-                }),
-            });
-            if (!fileContentResponse.ok) {
-                throw new Error(`获取角色聊天文件内容失败! 状态: ${fileContentResponse.status}`);
-            }
-            rawChatData = await fileContentResponse.json(); // 这是 [metadata, message1, ...] 数组
-
-             // 验证数据结构
-             if (!Array.isArray(rawChatData) || rawChatData.length === 0 || !rawChatData[0].chat_metadata) {
-                 console.warn(`[${pluginId}] 获取的角色聊天数据结构异常，可能不是标准的 [metadata, messages...] 格式`, rawChatData);
-                 // 尝试从 context 获取元数据作为回退
-                 const fallbackMetadata = context.chatMetadata || {};
-                 if (rawChatData.length === 0) {
-                     rawChatData = [fallbackMetadata]; // 只有元数据
-                 } else {
-                     rawChatData[0] = rawChatData[0].chat_metadata ? rawChatData[0] : fallbackMetadata; // 尝试替换或添加元数据
-                 }
-             }
-        }
+// extractChatContent 的逆操作，返回可直接合并进备份对象的字段
+function buildChatContent(isGroup, metadata, messages) {
+    return isGroup
+        ? { rawChatData: messages, groupMetadata: metadata }
+        : { rawChatData: [metadata, ...messages], groupMetadata: undefined };
+}
 
-        if (!rawChatData) {
-             throw new Error("未能从API获取有效的聊天数据");
-        }
-         logDebug('从API成功获取到原始聊天数据');
+// 判断两条消息的差异是否只是切换/新增了 swipe
+function isSwipeChange(oldMessage, newMessage) {
+    if (!Array.isArray(oldMessage?.swipes) || !Array.isArray(newMessage?.swipes)) return false;
+    return oldMessage.swipe_id !== newMessage.swipe_id || oldMessage.swipes.length !== newMessage.swipes.length;
+}
 
+/**
+ * 计算从基准消息数组到目标消息数组的消息级增量
+ * 增量由片段组成: { base: 起始索引, count: 数量 } 引用基准中的连续消息，{ messages: [...] } 为新的或修改过的消息
+ * @param {object[]} baseMessages 基准快照中的消息
+ * @param {object[]} targetMessages 当前的消息
+ * @returns {{segments: object[], stats: {appended: number, edited: number, deleted: number, swiped: number}, inlineCount: number}}
+ */
+function computeChatDelta(baseMessages, targetMessages) {
+    const baseStrings = baseMessages.map(message => JSON.stringify(message));
+    const positions = new Map();
+    baseStrings.forEach((str, index) => {
+        if (!positions.has(str)) positions.set(str, []);
+        positions.get(str).push(index);
+    });
 
-        // 2. 构建备份对象 (适应新结构)
-        const backup = {
-            timestamp: currentTimestamp,
-            chatKey,
-            entityName,
-            chatName,
-            entityId, // 保存实体ID
-            isGroup,  // 保存是否群组
-            lastMessageId: lastMsgIndex,
-            lastMessagePreview,
-            // 存储原始数据
-            rawChatData: isGroup ? rawChatData.messages : rawChatData, // 消息数组或 [metadata, messages]
-            groupMetadata: isGroup ? rawChatData.metadata : undefined, // 仅群组需要单独存储元数据
-        };
-        logDebug('构建备份对象:', backup);
+    const segments = [];
+    const stats = { appended: 0, edited: 0, deleted: 0, swiped: 0 };
+    let inlineCount = 0;
+    let pointer = 0;
 
+    const pushRef = (index) => {
+        const last = segments[segments.length - 1];
+        if (last && last.base !== undefined && last.base + last.count === index) {
+            last.count++;
+        } else {
+            segments.push({ base: index, count: 1 });
+        }
+    };
+    const pushInline = (message) => {
+        const last = segments[segments.length - 1];
+        if (last && last.messages) {
+            last.messages.push(message);
+        } else {
+            segments.push({ messages: [message] });
+        }
+        inlineCount++;
+    };
 
-        // 3. 检查当前聊天是否已有基于最后消息ID的备份 (避免完全相同的备份)
-        const existingBackups = await getBackupsForChat(chatKey); // 获取当前聊天的备份
+    targetMessages.forEach(message => {
+        const str = JSON.stringify(message);
+        if (pointer < baseStrings.length && baseStrings[pointer] === str) {
+            pushRef(pointer++);
+            return;
+        }
 
-        // 4. 检查重复并处理 (基于 lastMessageId) - 逻辑保持不变
-        const existingBackupIndex = existingBackups.findIndex(b => b.lastMessageId === lastMsgIndex);
-        let needsSave = true;
+        // 在基准的后续位置查找相同消息 (中间的消息视为已删除)
+        const match = positions.get(str)?.find(index => index > pointer);
+        if (match !== undefined) {
+            stats.deleted += match - pointer;
+            pushRef(match);
+            pointer = match + 1;
+            return;
+        }
 
-        if (existingBackupIndex !== -1) {
-            const existingTimestamp = existingBackups[existingBackupIndex].timestamp;
-            if (backup.timestamp > existingTimestamp) {
-                logDebug(`发现具有相同最后消息ID (${lastMsgIndex}) 的旧备份 (时间戳 ${existingTimestamp})，将删除旧备份以便保存新备份 (时间戳 ${backup.timestamp})`);
-                await deleteBackup(chatKey, existingTimestamp);
+        if (pointer < baseStrings.length) {
+            // 对应位置的消息被修改
+            if (isSwipeChange(baseMessages[pointer], message)) {
+                stats.swiped++;
             } else {
-                logDebug(`发现具有相同最后消息ID (${lastMsgIndex}) 且时间戳更新或相同的备份 (时间戳 ${existingTimestamp} vs ${backup.timestamp})，跳过本次保存`);
-                needsSave = false;
+                stats.edited++;
             }
+            pointer++;
+        } else {
+            stats.appended++;
         }
+        pushInline(message);
+    });
 
-        if (!needsSave) {
-            logDebug('备份已存在或无需更新 (基于lastMessageId和时间戳比较)，跳过保存和全局清理步骤');
-            return false;
+    stats.deleted += Math.max(0, baseStrings.length - pointer);
+    return { segments, stats, inlineCount };
+}
+
+// 将增量片段应用到基准消息数组，还原出完整的消息数组
+function applyChatDelta(baseMessages, segments) {
+    const messages = [];
+    segments.forEach(segment => {
+        if (segment.messages) {
+            messages.push(...segment.messages);
+        } else {
+            if (segment.base + segment.count > baseMessages.length) {
+                throw new Error(`增量引用的消息超出基准快照范围 (${segment.base}+${segment.count} > ${baseMessages.length})`);
+            }
+            messages.push(...baseMessages.slice(segment.base, segment.base + segment.count));
         }
+    });
+    return messages;
+}
 
-        // 5. 保存新备份到 IndexedDB
-        await saveBackupToDB(backup);
-        logDebug(`新备份已保存: [${chatKey}, ${backup.timestamp}]`);
+// 查找指定聊天最新的完整备份 (可作为增量的基准)
+async function findLatestFullBackup(chatKey) {
+    const records = await getBackupsForChat(chatKey);
+    const fullRecords = records.filter(record => record.storageType !== 'delta');
+    if (fullRecords.length === 0) return null;
+    const latest = fullRecords.reduce((latest, record) => (record.timestamp > latest.timestamp ? record : latest));
+    const base = await getBackupRecord(latest.chatKey, latest.timestamp);
+    return base?.rawChatData ? base : null;
+}
+
+// 将完整备份编码为增量 (相对于该聊天最新的完整快照)；没有基准或增量过大时保存为新的基准快照
+async function encodeBackupAsDelta(backup, baseRecord = undefined) {
+    const base = baseRecord === undefined ? await findLatestFullBackup(backup.chatKey) : baseRecord;
+    const asBase = { ...backup, storageType: 'base' };
+    delete asBase.baseTimestamp;
 
-        // --- 优化后的清理逻辑 ---
-        // 6. 获取所有备份的 *主键* 并限制总数量 - 逻辑保持不变
-        const allBackupKeys = await getAllBackupKeys();
+    if (!base || base.timestamp === backup.timestamp) {
+        logDebug(`聊天 ${backup.chatKey} 没有可用的基准快照，保存为完整基准快照`);
+        return asBase;
+    }
 
-        if (allBackupKeys.length > settings.maxTotalBackups) {
-            logDebug(`总备份数 (${allBackupKeys.length}) 超出系统限制 (${settings.maxTotalBackups})`);
-            allBackupKeys.sort((a, b) => a[1] - b[1]); // 按时间戳升序排序键
-            const numToDelete = allBackupKeys.length - settings.maxTotalBackups;
-            const keysToDelete = allBackupKeys.slice(0, numToDelete);
+    const { metadata, messages } = extractChatContent(backup);
+    const { messages: baseMessages } = extractChatContent(base);
+    const { segments, stats, inlineCount } = computeChatDelta(baseMessages, messages);
 
-            logDebug(`准备删除 ${keysToDelete.length} 个最旧的备份 (基于键)`);
-            await Promise.all(keysToDelete.map(key => deleteBackup(key[0], key[1])));
-            logDebug(`${keysToDelete.length} 个旧备份已删除`);
-        } else {
-            logDebug(`总备份数 (${allBackupKeys.length}) 未超出限制 (${settings.maxTotalBackups})，无需清理`);
-        }
-        // --- 清理逻辑结束 ---
+    if (inlineCount > messages.length * DELTA_REBASE_RATIO) {
+        logDebug(`增量过大 (${inlineCount}/${messages.length} 条消息)，保存为新的基准快照`);
+        return asBase;
+    }
 
-        // 7. UI提示 (外部处理)
-        logDebug(`成功完成聊天备份及可能的清理: ${entityName} - ${chatName}`);
-        return true; // 表示备份成功（或已跳过但无错误）
+    logDebug(`备份编码为增量 (基准 ${base.timestamp}):`, stats);
+    return {
+        ...stripBackupPayload(backup),
+        storageType: 'delta',
+        baseTimestamp: base.timestamp,
+        delta: { metadata, segments, stats },
+        contextState: backup.contextState,
+    };
+}
+
+// 根据增量记录和它的基准快照还原完整备份
+async function materializeDeltaBackup(record) {
+    const base = await getBackupRecord(record.chatKey, record.baseTimestamp);
+    if (!base || base.storageType === 'delta') {
+        throw new Error(`找不到增量备份 [${record.chatKey}, ${record.timestamp}] 的基准快照 ${record.baseTimestamp}`);
+    }
+    const { messages: baseMessages } = extractChatContent(base);
+    const messages = applyChatDelta(baseMessages, record.delta.segments);
+    return {
+        ...stripBackupPayload(record),
+        ...buildChatContent(record.isGroup, record.delta.metadata, messages),
+        contextState: record.contextState,
+    };
+}
+
+// 删除基准快照前，把依赖它的增量备份中最早的一个提升为新基准，其余改为基于新基准
+async function rebaseDependentDeltas(chatKey, timestamp) {
+    const records = await getBackupsForChat(chatKey);
+    const dependents = records
+        .filter(record => record.storageType === 'delta' && record.baseTimestamp === timestamp)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    if (dependents.length === 0) return;
+
+    logDebug(`基准快照 [${chatKey}, ${timestamp}] 有 ${dependents.length} 个增量依赖，开始重建基准`);
+    const materialized = [];
+    for (const record of dependents) {
+        materialized.push(await materializeDeltaBackup(await getBackupRecord(record.chatKey, record.timestamp)));
+    }
+
+    const newBase = { ...materialized[0], storageType: 'base' };
+    delete newBase.baseTimestamp;
+    await putBackupRecord(newBase);
+    for (const backup of materialized.slice(1)) {
+        await putBackupRecord(await encodeBackupAsDelta(backup, newBase));
+    }
+    logDebug(`已将 [${chatKey}, ${newBase.timestamp}] 提升为新的基准快照`);
+}
+
+
+// --- 变更检测 ---
+/**
+ * 计算聊天内容指纹: 每条消息的哈希、聊天元数据的哈希以及整体内容哈希
+ * 有多个回复的消息另记 "当前回复序号/回复数"，用于区分切换回复和编辑
+ * 备份记录中只保存 contentHash 和 metadataHash (见 pickStoredFingerprint)，逐条消息的部分用时再计算
+ * @param {object} backup 含聊天内容的备份对象
+ * @returns {{contentHash: number, metadataHash: number, messageHashes: number[], swipeMarks: (string|null)[]}}
+ */
+function computeChatFingerprint(backup) {
+    const { metadata, messages } = extractChatContent(backup);
+    const metadataHash = getStringHash(JSON.stringify(metadata));
+    const messageHashes = messages.map(message => getStringHash(JSON.stringify(message)));
+    const swipeMarks = messages.map(message => (Array.isArray(message?.swipes) ? `${message.swipe_id}/${message.swipes.length}` : null));
+    const contentHash = getStringHash(`${metadataHash}|${messageHashes.join(',')}`);
+    return { contentHash, metadataHash, messageHashes, swipeMarks };
+}
+
+// 指纹中写入备份元数据的部分 (逐条消息的哈希不保存，避免元数据和同步列表随消息数增长)
+function pickStoredFingerprint({ contentHash, metadataHash }) {
+    return { contentHash, metadataHash };
+}
 
+/**
+ * 根据两个备份的指纹判断变更类型 (见 CHANGE_TYPE_LABELS)
+ * 只有追加时为 append，只有末尾消息减少时为 delete；对应位置的消息改变时，若全部是回复切换则为 swipe，
+ * 否则消息数减少视为 delete，其余视为 edit
+ * @param {object|null} previous 上一个备份的完整指纹 (无法读取上一个备份时返回 null)
+ * @param {object} current 当前内容的指纹
+ * @returns {string|null}
+ */
+function classifyChatChange(previous, current) {
+    if (!Array.isArray(previous?.messageHashes)) return null;
+
+    const oldHashes = previous.messageHashes;
+    const newHashes = current.messageHashes;
+    const changed = [];
+    for (let i = 0; i < Math.min(oldHashes.length, newHashes.length); i++) {
+        if (oldHashes[i] !== newHashes[i]) changed.push(i);
+    }
+
+    if (changed.length === 0) {
+        if (newHashes.length > oldHashes.length) return 'append';
+        if (newHashes.length < oldHashes.length) return 'delete';
+        return previous.metadataHash !== current.metadataHash ? 'metadata' : null;
+    }
+    const oldMarks = previous.swipeMarks || [];
+    if (changed.every(i => current.swipeMarks[i] !== null && oldMarks[i] !== current.swipeMarks[i])) return 'swipe';
+    return newHashes.length < oldHashes.length ? 'delete' : 'edit';
+}
+
+// 每个聊天最近一次比较过的完整指纹 (chatKey -> {timestamp, fingerprint})，避免每次比较都读取上一个备份的内容
+const latestFingerprints = new Map();
+
+// 取得备份的完整指纹: 优先使用缓存，否则读取备份内容重新计算 (读取失败时返回 null)
+async function getBackupFingerprint(meta) {
+    const cached = latestFingerprints.get(meta.chatKey);
+    if (cached?.timestamp === meta.timestamp) {
+        return cached.fingerprint;
+    }
+    try {
+        const backup = await getBackupFromDB(meta.chatKey, meta.timestamp);
+        return backup?.rawChatData ? computeChatFingerprint(backup) : null;
     } catch (error) {
-        console.error(`[${pluginId}] 备份过程中发生错误:`, error);
-        throw error; // 抛出错误，让外部调用者处理提示
-    } finally {
-        // 确保锁被释放 (由调用 performBackupConditional 的地方处理)
+        logDebug(`读取备份 [${meta.chatKey}, ${meta.timestamp}] 计算指纹失败:`, error);
+        return null;
+    }
+}
+
+// 计算备份的内容指纹并与同一聊天最新的备份比较，返回指纹、最新备份、是否未变化以及变更类型
+async function compareWithLatestBackup(backup) {
+    const fingerprint = computeChatFingerprint(backup);
+    const latest = (await getBackupsForChat(backup.chatKey))
+        .reduce((a, b) => (!a || b.timestamp > a.timestamp ? b : a), null);
+    let unchanged = latest?.contentHash === fingerprint.contentHash;
+    let changeType = latest ? null : 'initial';
+    if (latest && !unchanged) {
+        const previous = await getBackupFingerprint(latest);
+        // 旧版本的备份没有 contentHash，按内容重新计算后再判断
+        unchanged = previous?.contentHash === fingerprint.contentHash;
+        changeType = classifyChatChange(previous, fingerprint);
     }
+    // 内容未变化时当前指纹即最新备份的指纹；否则它将属于即将保存的新备份
+    latestFingerprints.set(backup.chatKey, { timestamp: unchanged ? latest.timestamp : backup.timestamp, fingerprint });
+    return { fingerprint, latest, unchanged, changeType };
 }
 
+// 将指纹和变更类型写入备份对象
+function withChangeInfo(backup, { fingerprint, changeType }) {
+    return { ...backup, ...pickStoredFingerprint(fingerprint), ...(changeType ? { changeType } : {}) };
+}
 
-// --- 条件备份函数 ---
-async function performBackupConditional() {
-    if (isBackupInProgress) {
-        logDebug('备份已在进行中，跳过本次请求');
-        return;
+
+// --- 负载压缩 ---
+// 使用浏览器内置的 CompressionStream 压缩 JSON，返回 ArrayBuffer
+async function compressJson(value, format = PAYLOAD_COMPRESSION) {
+    const stream = new Blob([JSON.stringify(value)]).stream().pipeThrough(new CompressionStream(format));
+    return new Response(stream).arrayBuffer();
+}
+
+async function decompressJson(buffer, format = PAYLOAD_COMPRESSION) {
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream(format));
+    return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * 将备份记录的聊天内容压缩为二进制，元数据 (名称、时间、预览等) 保持明文以便列表直接读取
+ * 浏览器不支持 CompressionStream 时按明文格式保存
+ * @param {object} record 含聊天内容的备份记录
+ * @returns {Promise<object>} 待写入数据库的记录
+ */
+async function packBackupRecord(record) {
+    const meta = stripBackupPayload(record);
+    if (typeof CompressionStream === 'undefined') {
+        return { ...record, payloadFormat: PAYLOAD_FORMAT_PLAIN };
     }
 
-    const context = getContext();
-    const chatKey = getCurrentChatKey();
+    const payload = {};
+    PAYLOAD_FIELDS.forEach(field => {
+        if (record[field] !== undefined) payload[field] = record[field];
+    });
+    return {
+        ...meta,
+        payloadFormat: PAYLOAD_FORMAT_COMPRESSED,
+        payloadEncoding: PAYLOAD_COMPRESSION,
+        compressedPayload: await compressJson(payload),
+    };
+}
 
-    // 只有在有有效的聊天标识符且有消息时才执行备份
-    if (!chatKey || !context.chat || context.chat.length === 0) {
-         // logDebug('无有效的聊天标识符或聊天为空，跳过条件备份'); // 避免频繁日志
-         return false;
+// 将数据库中的记录还原为含明文聊天内容的备份对象 (旧版本的明文记录原样返回；加密记录需要先解锁)
+async function unpackBackupRecord(record) {
+    if (record?.encrypted) {
+        record = await openSealedRecord(record);
+    }
+    if (!record || record.payloadFormat !== PAYLOAD_FORMAT_COMPRESSED) {
+        return record;
     }
+    const payload = await decompressJson(record.compressedPayload, record.payloadEncoding);
+    const unpacked = { ...record, ...payload };
+    delete unpacked.compressedPayload;
+    delete unpacked.payloadEncoding;
+    delete unpacked.payloadFormat;
+    return unpacked;
+}
 
-    // 获取当前设置，包括防抖延迟
-    const currentSettings = extension_settings[PLUGIN_NAME];
-    if (!currentSettings) {
-        console.error(`[${pluginId}] 无法获取当前设置，取消备份`);
-        return false;
+// 将存储记录拆分为元数据和负载两部分 (负载与元数据同键；不含聊天内容时 payload 为 null)
+function splitStoredRecord(record) {
+    const meta = stripBackupPayload(record);
+    const fields = PAYLOAD_RECORD_FIELDS.filter(field => record[field] !== undefined);
+    if (fields.length === 0) {
+        return { meta, payload: null };
     }
+    const payload = { chatKey: record.chatKey, timestamp: record.timestamp };
+    fields.forEach(field => { payload[field] = record[field]; });
+    return { meta, payload };
+}
 
-    isBackupInProgress = true;
-    logDebug('设置备份锁');
+// 记录在数据库中占用的大小 (压缩和加密的部分按二进制长度计算)
+function getStoredRecordSize(record) {
+    const binaries = [record.compressedPayload, record.sealedPayload?.data, record.sealedMeta?.data].filter(Boolean);
+    if (binaries.length > 0) {
+        return estimateSerializedSize(stripBackupPayload(record)) + binaries.reduce((sum, data) => sum + data.byteLength, 0);
+    }
+    return estimateSerializedSize(record);
+}
+
+
+// --- 静态加密 ---
+// 加密后仍为明文的信息 (见 PLAIN_META_FIELDS)，在启用加密的对话框和设置说明中显示
+const ENCRYPTION_PLAINTEXT_NOTICE = '注意: 聊天标识 (角色头像文件名或群组 ID、聊天文件名)、备份时间、消息数、大小和固定状态不加密，在浏览器数据库和服务器同步目录中以明文保存，用于查找和清理备份。'
+    + '启用加密前已同步到服务器的备份会在同步可用时重新加密上传，完成之前它们在服务器上仍是明文；未启用加密的其他设备上传的备份也是明文。';
+// 口令派生密钥 (PBKDF2-SHA256) 的迭代次数；加密设置中会记录实际使用的次数
+const ENCRYPTION_KDF_ITERATIONS = 310000;
+// 用于校验口令是否正确的已知明文
+const ENCRYPTION_VERIFIER_TEXT = 'st-chat-auto-backup';
+// 本次页面会话中解锁得到的密钥 (不可导出，只保存在内存中)
+let encryptionKey = null;
+// 本次会话是否已提示过「未解锁，自动备份已暂停」
+let lockedNoticeShown = false;
+
+function isEncryptionEnabled() {
+    return !!extension_settings[PLUGIN_NAME]?.encryption;
+}
+
+// 已启用加密但本次会话尚未输入口令
+function isBackupStoreLocked() {
+    return isEncryptionEnabled() && !encryptionKey;
+}
+
+function assertBackupStoreUnlocked() {
+    if (isBackupStoreLocked()) {
+        throw new Error('备份已加密且尚未解锁，请先在备份管理器或设置面板中输入口令');
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function deriveEncryptionKey(passphrase, salt, iterations = ENCRYPTION_KDF_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt'],
+    );
+}
+
+// AES-GCM 加密，每次使用新的随机 IV
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    return { iv, data: await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes) };
+}
+
+async function decryptBytes(key, { iv, data }) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+}
+
+/**
+ * 加密已打包的记录: 只有 PLAIN_META_FIELDS 中的字段保持明文，其余元数据 (名称、预览、备注、指纹等) 和聊天内容分别加密
+ * 元数据单独加密，列表解锁后无需解密聊天内容即可显示
+ * @param {object} packed packBackupRecord 的结果，或不含聊天内容的元数据
+ */
+async function sealBackupRecord(packed) {
+    assertBackupStoreUnlocked();
+    const plain = {}, secret = {};
+    Object.entries(stripBackupPayload(packed)).forEach(([field, value]) => {
+        (PLAIN_META_FIELDS.includes(field) ? plain : secret)[field] = value;
+    });
+    const sealed = {
+        ...plain,
+        encrypted: true,
+        sealedMeta: await encryptBytes(encryptionKey, new TextEncoder().encode(JSON.stringify(secret))),
+    };
+
+    let payloadBytes = null, encoding = 'json';
+    if (packed.payloadFormat === PAYLOAD_FORMAT_COMPRESSED) {
+        payloadBytes = packed.compressedPayload;
+        encoding = packed.payloadEncoding;
+    } else {
+        const payload = {};
+        PAYLOAD_FIELDS.forEach(field => {
+            if (packed[field] !== undefined) payload[field] = packed[field];
+        });
+        if (Object.keys(payload).length > 0) {
+            payloadBytes = new TextEncoder().encode(JSON.stringify(payload));
+        }
+    }
+    if (payloadBytes) {
+        sealed.payloadFormat = PAYLOAD_FORMAT_ENCRYPTED;
+        sealed.sealedPayload = { ...await encryptBytes(encryptionKey, payloadBytes), encoding };
+    }
+    return sealed;
+}
+
+// 解密记录的元数据；未解锁时返回带 locked 标记的明文部分
+async function openSealedMeta(meta) {
+    if (!meta?.encrypted) return meta;
+    if (!encryptionKey) return { ...meta, locked: true };
+    const secret = JSON.parse(new TextDecoder().decode(await decryptBytes(encryptionKey, meta.sealedMeta)));
+    const opened = { ...meta, ...secret };
+    delete opened.encrypted;
+    delete opened.sealedMeta;
+    LEGACY_FINGERPRINT_FIELDS.forEach(field => delete opened[field]);
+    return opened;
+}
+
+// 解密完整记录，还原为加密前的打包格式 (压缩负载或明文字段)
+async function openSealedRecord(record) {
+    assertBackupStoreUnlocked();
+    const opened = await openSealedMeta(record);
+    const { sealedPayload } = record;
+    delete opened.sealedPayload;
+    delete opened.payloadFormat;
+    if (!sealedPayload) return opened;
+
+    const bytes = await decryptBytes(encryptionKey, sealedPayload);
+    if (sealedPayload.encoding === 'json') {
+        return { ...opened, ...JSON.parse(new TextDecoder().decode(bytes)), payloadFormat: PAYLOAD_FORMAT_PLAIN };
+    }
+    return { ...opened, payloadFormat: PAYLOAD_FORMAT_COMPRESSED, payloadEncoding: sealedPayload.encoding, compressedPayload: bytes };
+}
+
+/**
+ * 输入口令的对话框
+ * @param {{title: string, text: string, confirm?: boolean}} options confirm 为 true 时需要输入两次
+ * @returns {Promise<string|null>} 用户取消时返回 null
+ */
+async function promptPassphrase({ title, text, confirm = false }) {
+    const content = document.createElement('div');
+    content.className = 'backup_passphrase_dialog';
+    content.innerHTML = `
+        <h3></h3>
+        <p></p>
+        <input type="password" class="text_pole backup_passphrase" placeholder="口令" autocomplete="new-password">
+        ${confirm ? '<input type="password" class="text_pole backup_passphrase_confirm" placeholder="再次输入口令" autocomplete="new-password">' : ''}`;
+    content.querySelector('h3').textContent = title;
+    content.querySelector('p').textContent = text;
+
+    while (true) {
+        const popup = new Popup(content, POPUP_TYPE.CONFIRM, null, { okButton: '确定', cancelButton: '取消' });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+        const passphrase = content.querySelector('.backup_passphrase').value;
+        if (!passphrase) {
+            toastr.warning('口令不能为空', pluginId);
+            continue;
+        }
+        if (confirm && passphrase !== content.querySelector('.backup_passphrase_confirm').value) {
+            toastr.warning('两次输入的口令不一致', pluginId);
+            continue;
+        }
+        return passphrase;
+    }
+}
+
+// 用口令派生密钥并校验，口令错误时返回 null
+async function deriveVerifiedKey(passphrase, encryption) {
+    const key = await deriveEncryptionKey(passphrase, base64ToBytes(encryption.salt), encryption.iterations);
     try {
-        // 调用核心备份逻辑 (不再传递 chat 和 metadata，核心逻辑自己获取)
-        const success = await executeBackupLogic_Core(currentSettings);
-        if (success) {
-            // 如果备份成功（或有更新），刷新列表
+        const verifier = {
+            iv: base64ToBytes(encryption.verifier.iv),
+            data: base64ToBytes(encryption.verifier.data),
+        };
+        const text = new TextDecoder().decode(await decryptBytes(key, verifier));
+        return text === ENCRYPTION_VERIFIER_TEXT ? key : null;
+    } catch (error) {
+        logDebug('口令校验失败:', error);
+        return null; // AES-GCM 校验失败即口令错误
+    }
+}
+
+// 输入口令解锁备份 (每次页面会话一次)，返回是否已解锁
+async function unlockBackupStore() {
+    if (!isBackupStoreLocked()) return true;
+    const encryption = extension_settings[PLUGIN_NAME].encryption;
+    while (true) {
+        const passphrase = await promptPassphrase({ title: '解锁加密备份', text: '请输入备份口令。口令只保存在本次页面会话的内存中。' });
+        if (passphrase === null) return false;
+
+        const key = await deriveVerifiedKey(passphrase, encryption);
+        if (key) {
+            encryptionKey = key;
+            lockedNoticeShown = false;
+            toastr.success('备份已解锁', pluginId);
+            logDebug('加密备份已解锁');
+            // 继续加密启用加密时未完成转换的明文记录
+            if (encryption.pendingConversion) {
+                await sealExistingRecords();
+            }
+            sealRemoteBackups();
+            updateEncryptionUI();
             await updateBackupsList();
+            return true;
         }
-        return success;
-    } catch (error) {
-        console.error(`[${pluginId}] 条件备份执行失败:`, error);
-        toastr.error(`备份失败: ${error.message || '未知错误'}`, pluginId);
-        return false;
-    } finally {
-        isBackupInProgress = false;
-        logDebug('释放备份锁');
+        toastr.error('口令错误', pluginId);
     }
 }
 
-// --- 防抖备份函数 ---
-function performBackupDebounced() {
-    // 获取调用时的上下文和设置
-    const scheduledChatKey = getCurrentChatKey();
-    const currentSettings = extension_settings[PLUGIN_NAME];
+// 锁定: 丢弃内存中的密钥
+function lockBackupStore() {
+    encryptionKey = null;
+    logDebug('加密备份已锁定');
+    updateEncryptionUI();
+    updateBackupsList();
+}
 
-    if (!scheduledChatKey) {
-        // logDebug('无法获取计划防抖备份时的 ChatKey，取消'); // 避免频繁日志
-        clearTimeout(backupTimeout);
-        backupTimeout = null;
-        return;
+// 未解锁时备份会被跳过，每次会话提示一次
+function notifyBackupStoreLocked() {
+    if (lockedNoticeShown) return;
+    lockedNoticeShown = true;
+    toastr.warning('备份已加密但尚未解锁，自动备份已暂停。点击此处输入口令', pluginId, {
+        timeOut: 15000,
+        extendedTimeOut: 5000,
+        onclick: () => unlockBackupStore(),
+    });
+}
+
+/**
+ * 逐条转换数据库中的备份和回收站记录 (读取原始记录 → transform → 写回)
+ * WebCrypto 的异步操作不能保持 IndexedDB 事务，因此每条记录分别在读、写两个事务中处理
+ * @param {(record: object) => Promise<object|null>|null} transform 返回 null 表示跳过
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @param {AbortSignal} [signal] 中止后不再处理剩余的记录
+ * @returns {Promise<number>} 转换的记录数
+ */
+async function transformStoredRecords(transform, onProgress = null, signal = null) {
+    const db = await getDB();
+    // operate 可返回一个函数，事务完成后用它计算结果
+    const runRequest = (storeNames, mode, operate) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const getResult = operate(transaction);
+        transaction.oncomplete = () => resolve(getResult?.());
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error || new Error('事务被中止'));
+    });
+    const getKeys = storeName => runRequest([storeName], 'readonly', (transaction) => {
+        const request = transaction.objectStore(storeName).getAllKeys();
+        return () => request.result || [];
+    });
+
+    const backupKeys = await getKeys(STORE_NAME);
+    const trashKeys = await getKeys(TRASH_STORE_NAME);
+    const total = backupKeys.length + trashKeys.length;
+    let done = 0, converted = 0;
+
+    for (const key of backupKeys) {
+        if (signal?.aborted) return converted;
+        onProgress?.(done++, total);
+        const raw = await runRequest([STORE_NAME, PAYLOAD_STORE_NAME], 'readonly', (transaction) => {
+            const metaRequest = transaction.objectStore(STORE_NAME).get(key);
+            const payloadRequest = transaction.objectStore(PAYLOAD_STORE_NAME).get(key);
+            return () => metaRequest.result && { ...metaRequest.result, ...payloadRequest.result };
+        });
+        const next = raw && await transform(raw);
+        if (!next) continue;
+
+        const { meta, payload } = splitStoredRecord(next);
+        if (payload) meta.size = getStoredRecordSize(next);
+        await runRequest([STORE_NAME, PAYLOAD_STORE_NAME], 'readwrite', (transaction) => {
+            transaction.objectStore(STORE_NAME).put(meta);
+            if (payload) transaction.objectStore(PAYLOAD_STORE_NAME).put(payload);
+        });
+        converted++;
     }
 
-    if (!currentSettings || typeof currentSettings.backupDebounceDelay !== 'number') {
-        console.error(`[${pluginId}] 无法获取有效的防抖延迟设置，取消防抖`);
-        clearTimeout(backupTimeout);
-        backupTimeout = null;
-        return;
+    for (const key of trashKeys) {
+        if (signal?.aborted) return converted;
+        onProgress?.(done++, total);
+        const raw = await runRequest([TRASH_STORE_NAME], 'readonly', (transaction) => {
+            const request = transaction.objectStore(TRASH_STORE_NAME).get(key);
+            return () => request.result;
+        });
+        const next = raw && await transform(raw);
+        if (!next) continue;
+
+        next.size = getStoredRecordSize(next);
+        await runRequest([TRASH_STORE_NAME], 'readwrite', (transaction) => {
+            transaction.objectStore(TRASH_STORE_NAME).put(next);
+        });
+        converted++;
     }
 
-    const delay = currentSettings.backupDebounceDelay;
+    if (converted > 0) {
+        logDebug(`已转换 ${converted} 条存储记录`);
+    }
+    return converted;
+}
 
-    // logDebug(`计划执行防抖备份 (延迟 ${delay}ms), 针对 ChatKey: ${scheduledChatKey}`); // 避免频繁日志
-    clearTimeout(backupTimeout); // 清除旧的定时器
+// 清空搜索索引 (启用加密后不再保存明文的消息索引)
+async function clearSearchIndex() {
+    const db = await getDB();
+    await new Promise((resolve, reject) => {
+        const transaction = db.transaction([SEARCH_STORE_NAME], 'readwrite');
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.objectStore(SEARCH_STORE_NAME).clear();
+    });
+}
 
-    backupTimeout = setTimeout(async () => {
-        const currentChatKey = getCurrentChatKey(); // 获取执行时的 ChatKey
+// 为所有备份重建搜索索引 (关闭加密后，或数据库升级清空了旧索引后)，同时更新元数据中的索引大小
+async function rebuildSearchIndex() {
+    const keys = await getAllBackupKeys();
+    const db = await getDB();
+    let indexed = 0;
+    for (const [chatKey, timestamp] of keys) {
+        const backup = await getBackupFromDB(chatKey, timestamp);
+        if (!backup?.rawChatData) continue;
+        const entry = await buildSearchIndexEntry(backup);
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME, SEARCH_STORE_NAME], 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get([chatKey, timestamp]);
+            request.onsuccess = () => {
+                if (!request.result) return; // 重建期间已被删除
+                store.put({ ...request.result, searchSize: getSearchEntrySize(entry) });
+                transaction.objectStore(SEARCH_STORE_NAME).put(entry);
+            };
+        });
+        indexed++;
+    }
+    logDebug(`已为 ${indexed} 个备份重建搜索索引`);
+}
 
-        // 关键: 上下文检查，确保在延迟结束后仍然是同一个聊天
-        if (currentChatKey !== scheduledChatKey) {
+// 启用加密: 设置口令，然后加密所有已有的备份和回收站记录，并删除明文搜索索引
+async function enableEncryption() {
+    if (typeof crypto?.subtle === 'undefined') {
+        toastr.error('当前浏览器环境不支持 WebCrypto (需要 HTTPS 或 localhost)，无法启用加密', pluginId);
+        return false;
+    }
+    const passphrase = await promptPassphrase({
+        title: '启用备份加密',
+        text: `设置用于加密备份的口令。每次打开页面后需要输入一次口令才能查看和创建备份。忘记口令将无法恢复任何已加密的备份！${ENCRYPTION_PLAINTEXT_NOTICE}`,
+        confirm: true,
+    });
+    if (passphrase === null) return false;
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveEncryptionKey(passphrase, salt);
+    const verifier = await encryptBytes(key, new TextEncoder().encode(ENCRYPTION_VERIFIER_TEXT));
+
+    const settings = extension_settings[PLUGIN_NAME];
+    // 先保存设置，转换期间新写入的备份也会被加密；中途中断时下次解锁会继续转换
+    settings.encryption = {
+        salt: bytesToBase64(salt),
+        iterations: ENCRYPTION_KDF_ITERATIONS,
+        verifier: { iv: bytesToBase64(verifier.iv), data: bytesToBase64(verifier.data) },
+        pendingConversion: true,
+        // 启用前已同步的明文副本需要重新加密上传，见 sealRemoteBackups
+        pendingRemoteSeal: true,
+    };
+    encryptionKey = key;
+    saveSettingsDebounced();
+
+    try {
+        await sealExistingRecords();
+        toastr.success('已启用备份加密', pluginId);
+        sealRemoteBackups();
+    } catch (error) {
+        console.error(`[${pluginId}] 加密已有备份失败:`, error);
+        toastr.error(`加密已有备份失败: ${error.message || error}。下次解锁时会继续`, pluginId);
+    } finally {
+        updateEncryptionUI();
+        await updateBackupsList();
+    }
+    return true;
+}
+
+// 加密所有尚未加密的备份和回收站记录，并删除明文搜索索引 (中途取消时下次解锁会继续)
+async function sealExistingRecords() {
+    await clearSearchIndex();
+    const progress = createProgressPopup('正在加密已有备份', 0);
+    try {
+        await transformStoredRecords(
+            ({ searchSize, ...record }) => (record.encrypted ? null : sealBackupRecord(record)),
+            (done, total) => progress.update(done, `(${done + 1}/${total})`, total),
+            progress.signal,
+        );
+        if (progress.signal.aborted) {
+            toastr.warning('已暂停加密已有备份，下次解锁时会继续', pluginId);
+            return;
+        }
+        delete extension_settings[PLUGIN_NAME].encryption.pendingConversion;
+        saveSettingsDebounced();
+    } finally {
+        await progress.close();
+    }
+}
+
+/**
+ * 启用加密前已上传到同步目标的明文副本: 下载后加密，再覆盖上传 (在同步队列中后台进行)
+ * 未启用同步、未解锁或上传失败时保留 pendingRemoteSeal 标记，下次解锁或开启同步时继续
+ */
+function sealRemoteBackups() {
+    const encryption = extension_settings[PLUGIN_NAME].encryption;
+    const target = getSyncTarget();
+    if (!encryption?.pendingRemoteSeal || !target || !encryptionKey) return Promise.resolve();
+    return enqueueSync('加密服务器上的已有备份', async () => {
+        const plainMetas = (await target.list()).filter(meta => !meta.encrypted);
+        for (const meta of plainMetas) {
+            const record = await target.get(meta.chatKey, meta.timestamp);
+            if (!record || record.encrypted) continue;
+            const backup = await unpackBackupRecord(record);
+            await target.put(await buildStandaloneRecord(backup), { overwrite: true });
+        }
+        delete encryption.pendingRemoteSeal;
+        saveSettingsDebounced();
+        resetRemoteBackupCache();
+        logDebug(`已加密同步目标中的 ${plainMetas.length} 个明文备份`);
+        if (plainMetas.length > 0) {
+            toastr.success(`服务器上的 ${plainMetas.length} 个已有备份已重新加密`, pluginId);
+        }
+    });
+}
+
+// 关闭加密: 解密所有记录并重建搜索索引
+async function disableEncryption() {
+    if (!await unlockBackupStore()) return false;
+    const confirmed = await callGenericPopup(
+        '关闭加密后，所有备份将以明文保存在浏览器中。是否继续？',
+        POPUP_TYPE.CONFIRM,
+        null,
+        { okButton: '关闭加密', cancelButton: '取消' }
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return false;
+
+    const progress = createProgressPopup('正在解密备份', 1);
+    try {
+        await transformStoredRecords(
+            record => (record.encrypted ? openSealedRecord(record) : null),
+            (done, total) => progress.update(done, `(${done + 1}/${total})`, total),
+            progress.signal,
+        );
+        if (progress.signal.aborted) {
+            toastr.warning('已取消关闭加密，部分备份已解密，加密仍然启用', pluginId);
+            return false;
+        }
+        extension_settings[PLUGIN_NAME].encryption = null;
+        encryptionKey = null;
+        saveSettingsDebounced();
+        progress.update(0, '正在重建搜索索引...');
+        await rebuildSearchIndex();
+        toastr.success('已关闭备份加密', pluginId);
+    } catch (error) {
+        console.error(`[${pluginId}] 解密备份失败:`, error);
+        toastr.error(`解密备份失败: ${error.message || error}`, pluginId);
+    } finally {
+        await progress.close();
+        updateEncryptionUI();
+        await updateBackupsList();
+    }
+    return true;
+}
+
+// 同步设置面板中的加密开关和状态
+function updateEncryptionUI() {
+    const enabled = isEncryptionEnabled();
+    $('#chat_backup_encryption').prop('checked', enabled);
+    $('#chat_backup_unlock').toggle(enabled && !encryptionKey);
+    $('#chat_backup_lock').toggle(enabled && !!encryptionKey);
+    $('#chat_backup_encryption_status').text(enabled ? (encryptionKey ? '已解锁' : '已锁定') : '');
+}
+
+
+// --- 服务器同步 ---
+// 服务器插件的接口地址 (server/index.cjs，插件 ID 为 chat-auto-backup)
+const SYNC_SERVER_ENDPOINT = '/api/plugins/chat-auto-backup';
+// 备份列表中远端备份列表的缓存时间
+const SYNC_LIST_CACHE_MS = 30 * 1000;
+
+/**
+ * 同步目标: 在 IndexedDB 之外保存备份副本的存储，同一 [chatKey, timestamp] 视为同一个备份
+ * 记录为独立的打包格式 (完整内容，启用加密时已加密)，见 buildStandaloneRecord
+ * @typedef {object} SyncTarget
+ * @property {() => Promise<boolean>} probe 目标是否可用
+ * @property {() => Promise<object[]>} list 所有备份的元数据
+ * @property {(chatKey: string, timestamp: number) => Promise<object|null>} get 完整记录
+ * @property {(record: object, options?: {overwrite?: boolean}) => Promise<boolean>} put 保存记录；已存在相同的备份时默认不覆盖并返回 false，overwrite 为 true 时替换 (元数据修改、加密后重新上传)
+ * @property {(chatKey: string, timestamp: number) => Promise<void>} remove 删除记录
+ */
+
+// 可选的同步目标；本地模拟用于在没有服务器插件时测试同步流程，只在调试模式下可选 (debugOnly)
+const SYNC_TARGETS = {
+    server: { label: '服务器插件', create: () => createServerSyncTarget(SYNC_SERVER_ENDPOINT) },
+    local: { label: '本地模拟 (测试用，刷新页面后清空)', create: () => createLocalSyncTarget(), debugOnly: true },
+};
+
+// 当前使用的同步目标实例 (切换设置时重建)
+let syncTarget = null;
+// 推送和删除依次进行，避免同一备份的请求乱序
+let syncQueue = Promise.resolve();
+// 远端备份元数据的缓存
+let remoteBackupCache = { metas: null, fetchedAt: 0, error: null };
+
+// 记录中的二进制字段 (压缩负载、密文) 以 { $binary: base64 } 的形式传输
+function serializeSyncPayload(payload) {
+    return JSON.stringify(payload, (key, value) => (
+        value instanceof ArrayBuffer || ArrayBuffer.isView(value) ? { $binary: bytesToBase64(value) } : value
+    ));
+}
+
+function deserializeSyncPayload(text) {
+    return JSON.parse(text, (key, value) => (
+        typeof value?.$binary === 'string' ? base64ToBytes(value.$binary) : value
+    ));
+}
+
+// 服务器插件 (server/index.cjs)，备份保存在 SillyTavern 用户数据目录中
+function createServerSyncTarget(endpoint) {
+    const request = async (action, body = {}) => {
+        const response = await fetch(`${endpoint}/${action}`, {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: serializeSyncPayload(body),
+        });
+        if (!response.ok) {
+            throw new Error(response.status === 404
+                ? '找不到服务器插件，请确认已安装并启用 (enableServerPlugins)'
+                : `服务器插件返回错误 ${response.status}: ${await response.text()}`);
+        }
+        return deserializeSyncPayload(await response.text());
+    };
+    return {
+        probe: async () => {
+            try {
+                return (await request('probe')).ok === true;
+            } catch (error) {
+                logDebug('服务器插件不可用:', error);
+                return false;
+            }
+        },
+        list: async () => (await request('list')).backups || [],
+        get: async (chatKey, timestamp) => (await request('get', { chatKey, timestamp })).record ?? null,
+        put: async (record, { overwrite = false } = {}) => (await request('put', {
+            chatKey: record.chatKey,
+            timestamp: record.timestamp,
+            meta: stripBackupPayload(record),
+            record,
+            overwrite,
+        })).stored === true,
+        remove: async (chatKey, timestamp) => {
+            await request('delete', { chatKey, timestamp });
+        },
+    };
+}
+
+// 本地模拟: 以与服务器相同的序列化格式保存在内存中
+function createLocalSyncTarget() {
+    const entries = new Map();
+    const keyOf = (chatKey, timestamp) => JSON.stringify([chatKey, timestamp]);
+    return {
+        probe: async () => true,
+        list: async () => [...entries.values()].map(text => deserializeSyncPayload(text).meta),
+        get: async (chatKey, timestamp) => {
+            const text = entries.get(keyOf(chatKey, timestamp));
+            return text ? deserializeSyncPayload(text).record : null;
+        },
+        put: async (record, { overwrite = false } = {}) => {
+            const key = keyOf(record.chatKey, record.timestamp);
+            if (entries.has(key) && !overwrite) return false;
+            entries.set(key, serializeSyncPayload({ meta: stripBackupPayload(record), record }));
+            return true;
+        },
+        remove: async (chatKey, timestamp) => {
+            entries.delete(keyOf(chatKey, timestamp));
+        },
+    };
+}
+
+function isSyncEnabled() {
+    return !!extension_settings[PLUGIN_NAME]?.syncEnabled;
+}
+
+// 当前可以选择的同步目标 (debugOnly 的目标只在调试模式下可用)
+function isSyncTargetAvailable(id) {
+    return Object.hasOwn(SYNC_TARGETS, id) && (!SYNC_TARGETS[id].debugOnly || !!extension_settings[PLUGIN_NAME]?.debug);
+}
+
+// 设置面板中同步目标下拉框的选项
+function renderSyncTargetOptions() {
+    const selected = extension_settings[PLUGIN_NAME]?.syncTarget;
+    return Object.entries(SYNC_TARGETS)
+        .filter(([id]) => isSyncTargetAvailable(id))
+        .map(([id, { label }]) => `<option value="${id}" ${selected === id ? 'selected' : ''}>${label}</option>`)
+        .join('');
+}
+
+// 当前设置对应的同步目标，未启用同步时返回 null
+function getSyncTarget() {
+    if (!isSyncEnabled()) return null;
+    if (!syncTarget) {
+        const id = extension_settings[PLUGIN_NAME].syncTarget;
+        const { create } = isSyncTargetAvailable(id) ? SYNC_TARGETS[id] : SYNC_TARGETS.server;
+        syncTarget = create();
+    }
+    return syncTarget;
+}
+
+// 切换同步设置后丢弃旧的目标和缓存
+function resetSyncTarget() {
+    syncTarget = null;
+    resetRemoteBackupCache();
+}
+
+function resetRemoteBackupCache() {
+    remoteBackupCache = { metas: null, fetchedAt: 0, error: null };
+}
+
+// 在同步队列中执行，失败只记录日志，不影响本地备份
+function enqueueSync(label, task) {
+    syncQueue = syncQueue.then(task).catch(error => {
+        console.error(`[${pluginId}] ${label}失败:`, error);
+        updateSyncStatus(`${label}失败: ${error.message || error}`);
+    });
+    return syncQueue;
+}
+
+// 构建不依赖其他记录的打包记录 (还原增量、压缩，启用加密时加密)，用于回收站和同步
+async function buildStandaloneRecord(backup) {
+    const record = { ...backup };
+    delete record.storageType;
+    delete record.baseTimestamp;
+    delete record.delta;
+    let packed = await packBackupRecord(record);
+    if (isEncryptionEnabled()) packed = await sealBackupRecord(packed);
+    packed.size = getStoredRecordSize(packed);
+    return packed;
+}
+
+// 将刚保存的完整备份推送到同步目标 (后台进行)
+function mirrorBackupToSyncTarget(backup) {
+    const target = getSyncTarget();
+    if (!target) return Promise.resolve();
+    return enqueueSync('同步备份到服务器', async () => {
+        const record = await buildStandaloneRecord(backup);
+        if (await target.put(record)) {
+            logDebug(`备份 [${backup.chatKey}, ${backup.timestamp}] 已同步`);
+            remoteBackupCache.metas?.push(stripBackupPayload(record));
+        }
+    });
+}
+
+// 备份的元数据 (固定、名称、备注) 修改后，用新的记录替换同步目标中的副本 (后台进行)
+function mirrorBackupUpdate(chatKey, timestamp) {
+    const target = getSyncTarget();
+    if (!target) return Promise.resolve();
+    return enqueueSync('同步备份修改到服务器', async () => {
+        const backup = await getBackupFromDB(chatKey, timestamp);
+        if (!backup) return;
+        const record = await buildStandaloneRecord(backup);
+        if (await target.put(record, { overwrite: true })) {
+            logDebug(`备份 [${chatKey}, ${timestamp}] 的修改已同步`);
+            forgetRemoteBackups([[chatKey, timestamp]]);
+            remoteBackupCache.metas?.push(stripBackupPayload(record));
+        }
+    });
+}
+
+// 本地永久删除的备份同时从同步目标删除 (其他设备的备份只能在列表中手动删除)
+function mirrorBackupDeletion(keys) {
+    const target = getSyncTarget();
+    if (!target || keys.length === 0) return Promise.resolve();
+    return enqueueSync('从服务器删除备份', async () => {
+        for (const [chatKey, timestamp] of keys) {
+            await target.remove(chatKey, timestamp);
+        }
+        forgetRemoteBackups(keys);
+        logDebug(`已从同步目标删除 ${keys.length} 个备份`);
+    });
+}
+
+function forgetRemoteBackups(keys) {
+    if (!remoteBackupCache.metas) return;
+    const removed = new Set(keys.map(([chatKey, timestamp]) => getSelectionKey(chatKey, timestamp)));
+    remoteBackupCache.metas = remoteBackupCache.metas.filter(meta => !removed.has(getSelectionKey(meta.chatKey, meta.timestamp)));
+}
+
+/**
+ * 读取同步目标中的备份元数据 (带缓存)，加密的元数据会用当前口令解密
+ * 无法解密 (其他口令加密) 的备份带 locked 标记
+ * @param {{refresh?: boolean}} [options] refresh 为 true 时忽略缓存
+ * @returns {Promise<object[]>} 读取失败时返回空数组，错误记录在缓存中
+ */
+async function getRemoteBackupMetas({ refresh = false } = {}) {
+    const target = getSyncTarget();
+    if (!target) return [];
+    if (refresh || !remoteBackupCache.metas || Date.now() - remoteBackupCache.fetchedAt > SYNC_LIST_CACHE_MS) {
+        try {
+            await syncQueue; // 等待正在进行的推送，列表才包含刚保存的备份
+            remoteBackupCache = { metas: await target.list(), fetchedAt: Date.now(), error: null };
+        } catch (error) {
+            console.error(`[${pluginId}] 读取同步目标中的备份失败:`, error);
+            remoteBackupCache = { metas: [], fetchedAt: Date.now(), error };
+        }
+    }
+    return Promise.all(remoteBackupCache.metas.map(async meta => {
+        try {
+            return await openSealedMeta(meta);
+        } catch (error) {
+            return { ...meta, locked: true };
+        }
+    }));
+}
+
+// 同步目标中本机没有的备份 (其他设备保存的，或本机已永久删除但未同步删除的)
+// 本机回收站中的备份仍保留在同步目标上，它们不算作只在服务器上的备份
+async function getRemoteOnlyBackups(localBackups) {
+    const localKeys = new Set(localBackups.map(meta => getSelectionKey(meta.chatKey, meta.timestamp)));
+    (await getTrashKeys()).forEach(([chatKey, timestamp]) => localKeys.add(getSelectionKey(chatKey, timestamp)));
+    return (await getRemoteBackupMetas())
+        .filter(meta => !localKeys.has(getSelectionKey(meta.chatKey, meta.timestamp)))
+        .map(meta => ({ ...meta, remote: true }));
+}
+
+// 从同步目标下载备份并保存到本地 (本地已有相同 [chatKey, timestamp] 的备份时保留本地的)，返回是否新保存
+async function pullRemoteBackup(chatKey, timestamp) {
+    if (await getBackupMeta(chatKey, timestamp)) {
+        logDebug(`备份 [${chatKey}, ${timestamp}] 本地已存在，无需下载`);
+        return false;
+    }
+    const record = await getSyncTarget()?.get(chatKey, timestamp);
+    if (!record) {
+        throw new Error('服务器上找不到该备份');
+    }
+    if (record.encrypted && !encryptionKey) {
+        throw new Error('此备份已加密，请先在本机启用加密并使用相同的口令解锁');
+    }
+    let backup;
+    try {
+        backup = await unpackBackupRecord(record);
+    } catch (error) {
+        logDebug('解密远端备份失败:', error);
+        throw new Error('无法解密此备份，它可能使用了其他口令');
+    }
+    delete backup.size;
+    await saveBackupToDB(backup, { mirror: false });
+    logDebug(`已从同步目标下载备份 [${chatKey}, ${timestamp}]`);
+    return true;
+}
+
+// 将本地有而同步目标中没有的备份全部推送 (启用同步之前或离线时保存的备份)
+async function pushMissingBackups() {
+    const target = getSyncTarget();
+    if (!target) return;
+    if (!await unlockBackupStore()) return;
+    if (!await target.probe()) {
+        toastr.error('同步目标不可用，请确认服务器插件已安装并启用', pluginId);
+        return;
+    }
+
+    const remoteKeys = new Set((await getRemoteBackupMetas({ refresh: true })).map(meta => getSelectionKey(meta.chatKey, meta.timestamp)));
+    const missing = (await getAllBackupKeys()).filter(([chatKey, timestamp]) => !remoteKeys.has(getSelectionKey(chatKey, timestamp)));
+    if (missing.length === 0) {
+        toastr.info('所有本地备份都已同步', pluginId);
+        return;
+    }
+
+    const progress = createProgressPopup('正在上传备份', missing.length);
+    let pushed = 0, failed = 0;
+    try {
+        for (const [index, [chatKey, timestamp]] of missing.entries()) {
+            if (progress.signal.aborted) break;
+            progress.update(index, `(${index + 1}/${missing.length})`);
+            try {
+                const backup = await getBackupFromDB(chatKey, timestamp);
+                if (!backup) throw new Error('无法读取备份');
+                await target.put(await buildStandaloneRecord(backup));
+                pushed++;
+            } catch (error) {
+                console.error(`[${pluginId}] 上传备份 [${chatKey}, ${timestamp}] 失败:`, error);
+                failed++;
+            }
+        }
+    } finally {
+        await progress.close();
+    }
+    resetRemoteBackupCache();
+    toastr[failed > 0 ? 'warning' : 'success'](`已上传 ${pushed} 个备份${failed > 0 ? `，${failed} 个失败` : ''}`, pluginId);
+    updateSyncStatus();
+    await updateBackupsList();
+}
+
+// 同步设置的状态文字；message 为空时检查同步目标是否可用
+async function updateSyncStatus(message = null) {
+    const $status = $('#chat_backup_sync_status');
+    $('#chat_backup_sync_push').toggle(isSyncEnabled());
+    if (message !== null) {
+        $status.text(message);
+        return;
+    }
+    const target = getSyncTarget();
+    if (!target) {
+        $status.text('');
+        return;
+    }
+    $status.text('正在连接...');
+    $status.text(await target.probe() ? '已连接' : '不可用 (请安装并启用服务器插件)');
+}
+
+// --- 保留策略 ---
+// 备份所属实体 (角色或群组) 的唯一标识 (旧备份缺少 entityId 时按名称区分)
+function getEntityKey(backup) {
+    return `${backup.isGroup ? 'group' : 'char'}_${backup.entityId ?? backup.entityName ?? ''}`;
+}
+
+// GFS 时间分桶: 小时 / 天 (本地时间) / 周 (以周一为起点)
+function getGfsBucket(timestamp, period) {
+    const date = new Date(timestamp);
+    switch (period) {
+        case 'hourly':
+            return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}-${date.getHours()}`;
+        case 'daily':
+            return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+        case 'weekly': {
+            const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+            return `${monday.getFullYear()}-${monday.getMonth()}-${monday.getDate()}`;
+        }
+        default:
+            return String(timestamp);
+    }
+}
+
+// 在一个聊天的备份中 (按时间降序)，为最近 count 个时间桶各保留最新的一个备份
+function collectGfsKeepers(sortedBackups, period, count, keepSet) {
+    if (count <= 0) return;
+    const seenBuckets = new Set();
+    for (const backup of sortedBackups) {
+        const bucket = getGfsBucket(backup.timestamp, period);
+        if (seenBuckets.has(bucket)) continue;
+        seenBuckets.add(bucket);
+        keepSet.add(backup);
+        if (seenBuckets.size >= count) break;
+    }
+}
+
+/**
+ * 根据分层保留策略计算需要删除的备份
+ * 1. 每个聊天: 保留最新的 maxBackupsPerChat 个，再加上 GFS 按小时/天/周抽稀保留的备份
+ * 2. 每个角色/群组: 超出 maxBackupsPerEntity 时删除最旧的
+ * 3. 全局: 超出 maxTotalBackups 时删除最旧的
+ * 第 2、3 步优先删除非"聊天最新备份"的项，避免一个活跃聊天挤掉其他聊天仅有的备份
+ * 固定的备份、保护期内的安全快照和 exempt 中的备份不计入任何上限，也不会被删除
+ * @param {object[]} metas 所有备份的元数据
+ * @param {object} settings 插件设置
+ * @param {Set<string>} [exempt] 本次不参与清理的备份 (getSelectionKey 的结果)
+ * @returns {object[]} 需要删除的备份元数据
+ */
+function selectBackupsToPrune(allMetas, settings, exempt = new Set()) {
+    const now = Date.now();
+    const metas = allMetas.filter(meta => !meta.pinned && !isSafetySnapshotProtected(meta, settings, now)
+        && !exempt.has(getSelectionKey(meta.chatKey, meta.timestamp)));
+    const toDelete = new Set();
+    const latestOfChat = new Set();
+
+    // 1. 每个聊天的保留规则
+    const byChat = new Map();
+    metas.forEach(meta => {
+        if (!byChat.has(meta.chatKey)) byChat.set(meta.chatKey, []);
+        byChat.get(meta.chatKey).push(meta);
+    });
+
+    byChat.forEach(chatBackups => {
+        chatBackups.sort((a, b) => b.timestamp - a.timestamp);
+        latestOfChat.add(chatBackups[0]);
+
+        const keepSet = new Set(chatBackups.slice(0, settings.maxBackupsPerChat));
+        collectGfsKeepers(chatBackups, 'hourly', settings.gfsKeepHourly, keepSet);
+        collectGfsKeepers(chatBackups, 'daily', settings.gfsKeepDaily, keepSet);
+        collectGfsKeepers(chatBackups, 'weekly', settings.gfsKeepWeekly, keepSet);
+
+        chatBackups.forEach(backup => {
+            if (!keepSet.has(backup)) toDelete.add(backup);
+        });
+    });
+
+    // 按删除优先级排序: 非聊天最新备份优先，其次按时间升序
+    const byPruneOrder = (a, b) => {
+        const aLatest = latestOfChat.has(a) ? 1 : 0;
+        const bLatest = latestOfChat.has(b) ? 1 : 0;
+        return aLatest - bLatest || a.timestamp - b.timestamp;
+    };
+
+    const trimToLimit = (backups, limit) => {
+        const remaining = backups.filter(backup => !toDelete.has(backup));
+        if (remaining.length <= limit) return;
+        remaining.sort(byPruneOrder);
+        remaining.slice(0, remaining.length - limit).forEach(backup => toDelete.add(backup));
+    };
+
+    // 2. 每个角色/群组的保留规则
+    const byEntity = new Map();
+    metas.forEach(meta => {
+        const entityKey = getEntityKey(meta);
+        if (!byEntity.has(entityKey)) byEntity.set(entityKey, []);
+        byEntity.get(entityKey).push(meta);
+    });
+    byEntity.forEach(entityBackups => trimToLimit(entityBackups, settings.maxBackupsPerEntity));
+
+    // 3. 全局上限
+    trimToLimit(metas, settings.maxTotalBackups);
+
+    return [...toDelete];
+}
+
+// 执行保留策略清理，返回删除的备份数量 (清理掉的备份移入回收站；exempt 见 selectBackupsToPrune)
+async function applyRetentionPolicy(settings, { exempt } = {}) {
+    await purgeExpiredTrash();
+    // 删除的备份移入回收站前需要解密，未解锁时推迟到下次备份
+    if (isBackupStoreLocked()) {
+        logDebug('备份已加密且未解锁，跳过保留策略');
+        return 0;
+    }
+    const metas = await getAllBackupsMeta();
+    const backupsToDelete = selectBackupsToPrune(metas, settings, exempt);
+
+    if (backupsToDelete.length === 0) {
+        logDebug(`总备份数 (${metas.length}) 符合保留策略，无需清理`);
+        return 0;
+    }
+
+    logDebug(`根据保留策略准备删除 ${backupsToDelete.length} 个备份 (共 ${metas.length} 个)`);
+    // 逐个删除且先删增量，避免基准快照被删除时为即将删除的增量重建基准
+    backupsToDelete.sort((a, b) => (b.storageType === 'delta') - (a.storageType === 'delta'));
+    for (const backup of backupsToDelete) {
+        await deleteBackup(backup.chatKey, backup.timestamp, { reason: 'prune' });
+    }
+    logDebug(`${backupsToDelete.length} 个旧备份已删除`);
+    return backupsToDelete.length;
+}
+
+// --- 存储预算 ---
+// 备份占用的存储 (记录本身和它的搜索索引)
+function getBackupStorageSize(meta) {
+    return (meta.size || 0) + (meta.searchSize || 0);
+}
+
+// 估算一个对象序列化后占用的字节数
+function estimateSerializedSize(value) {
+    return new Blob([JSON.stringify(value)]).size;
+}
+
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * 按删除优先级排列可以为腾出空间而删除的备份
+ * 固定的备份不参与；非"聊天最新备份"优先，保护期内的安全快照最后，同级按时间升序
+ * @param {object[]} metas 所有备份的元数据
+ * @returns {object[]}
+ */
+function selectBackupsForBudget(metas) {
+    const settings = extension_settings[PLUGIN_NAME];
+    const now = Date.now();
+    const latestOfChat = new Map();
+    metas.forEach(meta => {
+        const latest = latestOfChat.get(meta.chatKey);
+        if (!latest || meta.timestamp > latest.timestamp) latestOfChat.set(meta.chatKey, meta);
+    });
+    const latestSet = new Set(latestOfChat.values());
+    // 保护期内的安全快照最后才删除
+    const rank = meta => (isSafetySnapshotProtected(meta, settings, now) ? 2 : latestSet.has(meta) ? 1 : 0);
+    return metas
+        .filter(meta => !meta.pinned)
+        .sort((a, b) => rank(a) - rank(b) || a.timestamp - b.timestamp);
+}
+
+/**
+ * 保存新备份前确保总占用 (含回收站和搜索索引) 不超过预算，必要时先清空回收站中最早删除的备份，再从最旧的备份开始删除
+ * 为腾出空间而删除的备份不进入回收站；总占用只统计一次，之后按删除的大小扣减
+ * 删除基准快照会把依赖它的增量提升为新基准，此时只重新读取该聊天的备份
+ * @param {number} incomingSize 新备份写入后的大小 (编码、压缩后，含搜索索引)
+ * @param {number} budget 预算 (字节)
+ * @param {object} incoming 新备份的存储记录 (不会删除与它同键的旧记录，也不会删除它引用的基准快照)
+ */
+async function enforceStorageBudget(incomingSize, budget, incoming) {
+    if (incomingSize > budget) {
+        throw new Error(`该备份约 ${formatBytes(incomingSize)}，超过了设置的存储预算 ${formatBytes(budget)}`);
+    }
+
+    const isKept = meta => meta.chatKey === incoming.chatKey
+        && (meta.timestamp === incoming.timestamp || (incoming.storageType === 'delta' && meta.timestamp === incoming.baseTimestamp));
+    const isIncoming = meta => meta.chatKey === incoming.chatKey && meta.timestamp === incoming.timestamp;
+    const sumSize = list => list.reduce((sum, meta) => sum + getBackupStorageSize(meta), 0);
+
+    const trash = (await getTrashEntries()).sort((a, b) => a.deletedAt - b.deletedAt);
+    let trashTotal = trash.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    let metas = (await getAllBackupsMeta()).filter(meta => !isIncoming(meta));
+    let total = sumSize(metas);
+    let candidates = null;
+    let purgedCount = 0, deletedCount = 0;
+    while (total + trashTotal + incomingSize > budget) {
+        if (trash.length > 0) {
+            const entry = trash.shift();
+            logDebug(`存储预算不足，永久删除回收站中的备份 [${entry.chatKey}, ${entry.timestamp}]`);
+            await deleteTrashEntries([[entry.chatKey, entry.timestamp]]);
+            trashTotal -= entry.size || 0;
+            purgedCount++;
+            continue;
+        }
+
+        candidates ??= selectBackupsForBudget(metas).filter(meta => !isKept(meta));
+        const candidate = candidates.shift();
+        if (!candidate) {
+            throw new Error(`存储预算不足 (已用 ${formatBytes(total)} / ${formatBytes(budget)})，且剩余备份均已固定，无法自动清理`);
+        }
+        logDebug(`存储预算不足 (${formatBytes(total + incomingSize)} > ${formatBytes(budget)})，删除备份 [${candidate.chatKey}, ${candidate.timestamp}]`);
+        const hasDependents = candidate.storageType !== 'delta' && metas.some(meta =>
+            meta.chatKey === candidate.chatKey && meta.storageType === 'delta' && meta.baseTimestamp === candidate.timestamp);
+        await deleteBackup(candidate.chatKey, candidate.timestamp, { permanent: true });
+        deletedCount++;
+
+        if (hasDependents) {
+            // 依赖它的增量已重新编码，大小改变，按该聊天的最新元数据重新统计
+            const previous = metas.filter(meta => meta.chatKey === candidate.chatKey);
+            const refreshed = (await getBackupsForChat(candidate.chatKey)).filter(meta => !isIncoming(meta));
+            metas = metas.filter(meta => meta.chatKey !== candidate.chatKey).concat(refreshed);
+            total += sumSize(refreshed) - sumSize(previous);
+            candidates = null;
+        } else {
+            metas = metas.filter(meta => meta !== candidate);
+            total -= getBackupStorageSize(candidate);
+        }
+    }
+
+    if (purgedCount > 0 || deletedCount > 0) {
+        logDebug(`为满足存储预算永久删除了回收站中的 ${purgedCount} 个备份和 ${deletedCount} 个旧备份`);
+    }
+    // 移入回收站不会腾出空间，因此这些备份直接永久删除，需要让用户知道
+    if (deletedCount > 0) {
+        toastr.warning(`存储空间超出预算，已永久删除 ${deletedCount} 个最旧的备份 (不经过回收站)`, pluginId);
+    }
+}
+
+
+// 在设置面板中显示存储用量: 浏览器配额、备份总大小、占用最多的聊天以及持久存储状态
+async function updateStorageUsage() {
+    const $container = $('#chat_backup_storage_usage');
+    if (!$container.length) return;
+
+    try {
+        const metas = await getAllBackupsMeta();
+        const total = metas.reduce((sum, meta) => sum + getBackupStorageSize(meta), 0);
+        const byChat = new Map();
+        metas.forEach(meta => {
+            const entry = byChat.get(meta.chatKey) || { name: `${meta.entityName || '未知'} - ${meta.chatName || '未知'}`, size: 0, count: 0 };
+            entry.size += getBackupStorageSize(meta);
+            entry.count++;
+            byChat.set(meta.chatKey, entry);
+        });
+        const topChats = [...byChat.values()].sort((a, b) => b.size - a.size).slice(0, 5);
+
+        const settings = extension_settings[PLUGIN_NAME];
+        const budgetText = settings?.maxStorageMB > 0 ? ` / 预算 ${formatBytes(settings.maxStorageMB * 1024 * 1024)}` : '';
+        const lines = [`备份占用: ${formatBytes(total)}${budgetText} (${metas.length} 个备份)`];
+        const trash = await getTrashEntries();
+        if (trash.length > 0) {
+            const trashTotal = trash.reduce((sum, entry) => sum + (entry.size || 0), 0);
+            lines.push(`回收站: ${formatBytes(trashTotal)} (${trash.length} 个备份，计入存储预算)`);
+        }
+        const currentChat = byChat.get(getCurrentChatKey());
+        if (currentChat) {
+            lines.push(`当前聊天: ${formatBytes(currentChat.size)} (${currentChat.count} 个备份)`);
+        }
+
+        if (navigator.storage?.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            lines.push(`浏览器存储: 已用 ${formatBytes(usage)} / 配额 ${formatBytes(quota)}`);
+        }
+
+        let persisted = null;
+        if (navigator.storage?.persisted) {
+            persisted = await navigator.storage.persisted();
+            lines.push(`持久存储: ${persisted ? '已启用 (浏览器不会自动清除备份)' : '未启用 (存储空间紧张时浏览器可能清除备份)'}`);
+        }
+
+        $container.empty();
+        lines.forEach(line => $container.append($('<div></div>').text(line)));
+        if (topChats.length > 0) {
+            const $top = $('<ul class="backup_storage_top"></ul>');
+            topChats.forEach(chat => {
+                $top.append($('<li></li>').text(`${chat.name}: ${formatBytes(chat.size)} (${chat.count} 个)`));
+            });
+            $container.append($('<div>占用最多的聊天:</div>'), $top);
+        }
+        $('#chat_backup_request_persist').toggle(persisted === false);
+    } catch (error) {
+        console.error(`[${pluginId}] 获取存储用量失败:`, error);
+        $container.text(`获取存储用量失败: ${error.message}`);
+    }
+}
+
+// --- 聊天信息获取 (保持不变) ---
+function getCurrentChatKey() {
+    const context = getContext();
+    // logDebug('获取当前聊天标识符, context:',
+    //     {groupId: context.groupId, characterId: context.characterId, chatId: context.chatId}); // 避免过度日志
+    if (context.groupId) {
+        const key = `group_${context.groupId}_${context.chatId}`;
+        // logDebug('当前是群组聊天，chatKey:', key);
+        return key;
+    } else if (context.characterId !== undefined && context.chatId) { // 确保chatId存在
+        // 使用头像文件名作为角色标识，角色列表增删或重新排序后依然稳定
+        const avatar = characters?.[context.characterId]?.avatar;
+        if (!avatar) return null;
+        const key = `char_${avatar}_${context.chatId}`;
+        // logDebug('当前是角色聊天，chatKey:', key);
+        return key;
+    }
+    // console.warn(`[${pluginId}] 无法获取当前聊天的有效标识符 (可能未选择角色/群组或聊天)`);
+    return null;
+}
+
+// 按头像文件名查找角色在当前角色列表中的索引，找不到时返回 -1
+function findCharacterIndex(avatar) {
+    return (characters || []).findIndex(char => char.avatar === avatar);
+}
+
+function getCurrentChatInfo() {
+    const context = getContext();
+    let chatName = '当前聊天', entityName = '未知实体', entityId = null, isGroup = false;
+
+    if (context.groupId) {
+        isGroup = true;
+        entityId = context.groupId;
+        const group = groups?.find(g => g.id === context.groupId);
+        entityName = group ? group.name : `群组 ${context.groupId}`;
+        chatName = context.chatId || '新聊天';
+        // logDebug('获取到群组聊天信息:', {entityName, chatName, entityId});
+    } else if (context.characterId !== undefined) {
+        isGroup = false;
+        const character = characters?.[context.characterId];
+        entityId = character?.avatar ?? null; // 使用头像文件名作为稳定的角色标识
+        entityName = context.name2 || `角色 ${context.characterId}`;
+        if (character && context.chatId) {
+             const chatFile = character.chat || context.chatId;
+             chatName = chatFile.substring(chatFile.lastIndexOf('/') + 1).replace('.jsonl', '');
+        } else {
+            chatName = context.chatId || '新聊天';
+        }
+        // logDebug('获取到角色聊天信息:', {entityName, chatName, entityId});
+    } else {
+        // console.warn(`[${pluginId}] 无法获取聊天实体信息，使用默认值`);
+    }
+
+    return { entityName, chatName, entityId, isGroup };
+}
+
+
+// --- 聊天文件读取 ---
+/**
+ * 通过后端API获取指定聊天文件的原始内容，返回可直接合并进备份对象的字段
+ * @param {{isGroup: boolean, entityId: string, chatId: string}} target 群组ID或角色头像文件名，以及聊天文件名
+ * @param {object} [fallbackMetadata] 角色聊天文件缺少元数据头时使用的元数据
+ * @returns {Promise<{rawChatData: object[], groupMetadata: object|undefined}>}
+ */
+async function fetchChatFileContent({ isGroup, entityId, chatId }, fallbackMetadata = {}) {
+    if (isGroup) {
+        // 群组聊天：获取消息数组，并单独获取元数据
+        logDebug(`通过 API 获取群组聊天消息: ${entityId} - ${chatId}`);
+        const messagesResponse = await fetch('/api/chats/group/get', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chatId }), // 群组API使用chat_id作为id
+        });
+        if (!messagesResponse.ok) {
+            throw new Error(`获取群组聊天消息失败! 状态: ${messagesResponse.status}`);
+        }
+        const messages = await messagesResponse.json(); // 这是消息数组
+
+        // 获取群组元数据 (通常在 group 对象中)，分开存储，恢复时再组合
+        const group = groups?.find(g => g.id === entityId);
+        const groupMetadata = group?.chat_metadata || {}; // 使用chat_metadata属性
+        logDebug('获取到群组元数据:', groupMetadata);
+
+        if (!Array.isArray(messages)) {
+            throw new Error("未能从API获取有效的聊天数据");
+        }
+        return { rawChatData: messages, groupMetadata };
+    }
+
+    // 角色聊天：获取包含元数据和消息的数组
+    const character = characters[findCharacterIndex(entityId)];
+    if (!character) throw new Error(`找不到头像为 ${entityId} 的角色信息`);
+    logDebug(`通过 API 获取角色聊天文件内容: ${character.name} - ${chatId}`);
+
+    const fileContentResponse = await fetch('/api/chats/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({
+            ch_name: character.name,
+            file_name: chatId, // 文件名 (不带.jsonl)
+            avatar_url: character.avatar,
+        }),
+    });
+    if (!fileContentResponse.ok) {
+        throw new Error(`获取角色聊天文件内容失败! 状态: ${fileContentResponse.status}`);
+    }
+    let rawChatData = await fileContentResponse.json(); // 这是 [metadata, message1, ...] 数组
+
+    // 验证数据结构
+    if (!Array.isArray(rawChatData) || rawChatData.length === 0 || !rawChatData[0].chat_metadata) {
+        console.warn(`[${pluginId}] 获取的角色聊天数据结构异常，可能不是标准的 [metadata, messages...] 格式`, rawChatData);
+        // 使用回退元数据
+        if (!Array.isArray(rawChatData) || rawChatData.length === 0) {
+            rawChatData = [{ chat_metadata: fallbackMetadata }]; // 只有元数据
+        } else {
+            rawChatData[0] = rawChatData[0].chat_metadata ? rawChatData[0] : { chat_metadata: fallbackMetadata }; // 尝试替换或添加元数据
+        }
+    }
+    logDebug('从API成功获取到原始聊天数据');
+    return { rawChatData, groupMetadata: undefined };
+}
+
+// 从备份中取得原聊天文件名 (旧备份没有 chatId 字段，从 chatKey 中解析)
+function getBackupChatId(backup) {
+    if (backup.chatId) return backup.chatId;
+    const prefix = `${backup.isGroup ? 'group' : 'char'}_${backup.entityId}_`;
+    return backup.chatKey.startsWith(prefix) ? backup.chatKey.slice(prefix.length) : null;
+}
+
+/**
+ * 为任意聊天文件 (不一定是当前打开的) 构建完整的备份对象
+ * @param {{isGroup: boolean, entityId: string, chatId: string}} target 目标聊天
+ * @param {object} [extraFields] 额外写入备份对象的字段
+ */
+async function buildBackupForChatFile(target, extraFields = {}) {
+    const { isGroup, entityId, chatId } = target;
+    const content = await fetchChatFileContent(target);
+    const entityName = isGroup
+        ? (groups?.find(g => g.id === entityId)?.name || `群组 ${entityId}`)
+        : (characters[findCharacterIndex(entityId)]?.name || entityId);
+    const { messages } = extractChatContent({ isGroup, ...content });
+    const lastMessage = messages[messages.length - 1];
+
+    return {
+        timestamp: Date.now(),
+        chatKey: `${isGroup ? 'group' : 'char'}_${entityId}_${chatId}`,
+        entityName,
+        chatName: chatId,
+        entityId,
+        isGroup,
+        identityVersion: CHAT_IDENTITY_VERSION,
+        chatId,
+        lastMessageId: messages.length - 1,
+        lastMessagePreview: lastMessage?.mes?.substring(0, 100) || '(空消息)',
+        ...content,
+        ...extraFields,
+    };
+}
+
+
+// --- 核心备份逻辑封装 (使用后端API获取文件内容) ---
+// options.force: 跳过重复检查，总是保存新备份；options.extraFields: 额外写入备份对象的字段 (如固定、标签)
+async function executeBackupLogic_Core(settings, { force = false, extraFields = {} } = {}) {
+    const currentTimestamp = Date.now();
+    logDebug(`开始执行核心备份逻辑 @ ${new Date(currentTimestamp).toLocaleTimeString()}`);
+
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) {
+        console.warn(`[${pluginId}] 无有效的聊天标识符，跳过备份`);
+        return false;
+    }
+
+    const { entityName, chatName, entityId, isGroup } = getCurrentChatInfo();
+     const context = getContext(); // 再次获取上下文，确保最新
+
+    if (!context.chat || context.chat.length === 0) {
+         logDebug('当前聊天内容为空，跳过备份');
+         return false;
+    }
+
+    const lastMsgIndex = context.chat.length - 1;
+    const lastMessage = context.chat[lastMsgIndex];
+    const lastMessagePreview = lastMessage?.mes?.substring(0, 100) || '(空消息)';
+
+    logDebug(`准备备份聊天: ${entityName} - ${chatName}, 消息数: ${context.chat.length}, 最后消息ID: ${lastMsgIndex}`);
+
+    try {
+        // 1. 通过后端API获取当前聊天文件的原始内容
+        const chatContent = await fetchChatFileContent({ isGroup, entityId, chatId: context.chatId }, context.chatMetadata);
+
+        // 2. 构建备份对象 (适应新结构)
+        const backup = {
+            timestamp: currentTimestamp,
+            chatKey,
+            entityName,
+            chatName,
+            entityId, // 保存实体ID (群组ID或角色头像文件名)
+            isGroup,  // 保存是否群组
+            identityVersion: CHAT_IDENTITY_VERSION,
+            chatId: context.chatId, // 原聊天文件名 (不带.jsonl)，原位恢复时使用
+            lastMessageId: lastMsgIndex,
+            lastMessagePreview,
+            // 存储原始数据
+            rawChatData: chatContent.rawChatData, // 消息数组或 [metadata, messages]
+            groupMetadata: chatContent.groupMetadata, // 仅群组需要单独存储元数据
+            ...extraFields,
+        };
+        logDebug('构建备份对象:', backup);
+
+
+        // 3. 计算内容指纹，与该聊天最新的备份比较
+        const comparison = await compareWithLatestBackup(backup);
+
+        // 4. 内容完全相同时跳过 (强制保存时除外)；否则保留旧备份，并记录本次的变更类型
+        if (!force && comparison.unchanged) {
+            logDebug(`聊天内容与最新备份 (时间戳 ${comparison.latest.timestamp}) 完全相同，跳过保存和全局清理步骤`);
+            return false;
+        }
+        logDebug(`检测到聊天内容变化 (${comparison.changeType || '未知'})`);
+
+        // 可选: 同时备份角色卡、世界书等相关状态 (失败时仍保存聊天本身)
+        if (settings.captureContextState) {
+            await attachContextState(backup);
+        }
+
+        // 5. 保存新备份到 IndexedDB
+        await saveBackupToDB(withChangeInfo(backup, comparison));
+        logDebug(`新备份已保存: [${chatKey}, ${backup.timestamp}]`);
+
+        // --- 分层保留策略清理 ---
+        // 6. 按每个聊天、每个角色/群组、全局上限及 GFS 抽稀规则清理旧备份
+        await applyRetentionPolicy(settings);
+        // --- 清理逻辑结束 ---
+
+        // 7. UI提示 (外部处理)
+        logDebug(`成功完成聊天备份及可能的清理: ${entityName} - ${chatName}`);
+        return true; // 表示备份成功（或已跳过但无错误）
+
+    } catch (error) {
+        console.error(`[${pluginId}] 备份过程中发生错误:`, error);
+        throw error; // 抛出错误，让外部调用者处理提示
+    } finally {
+        // 确保锁被释放 (由调用 performBackupConditional 的地方处理)
+    }
+}
+
+
+// --- 条件备份函数 ---
+// options 会传递给 executeBackupLogic_Core
+async function performBackupConditional(options = {}) {
+    if (isBackupInProgress) {
+        logDebug('备份已在进行中，跳过本次请求');
+        return;
+    }
+
+    const context = getContext();
+    const chatKey = getCurrentChatKey();
+
+    // 只有在有有效的聊天标识符且有消息时才执行备份
+    if (!chatKey || !context.chat || context.chat.length === 0) {
+         // logDebug('无有效的聊天标识符或聊天为空，跳过条件备份'); // 避免频繁日志
+         return false;
+    }
+
+    // 加密备份未解锁时无法写入，暂停备份
+    if (isBackupStoreLocked()) {
+        notifyBackupStoreLocked();
+        return false;
+    }
+
+    // 获取当前设置，包括防抖延迟
+    const currentSettings = extension_settings[PLUGIN_NAME];
+    if (!currentSettings) {
+        console.error(`[${pluginId}] 无法获取当前设置，取消备份`);
+        return false;
+    }
+
+    isBackupInProgress = true;
+    logDebug('设置备份锁');
+    try {
+        // 调用核心备份逻辑 (不再传递 chat 和 metadata，核心逻辑自己获取)
+        const success = await executeBackupLogic_Core(currentSettings, options);
+        if (success) {
+            // 如果备份成功（或有更新），刷新列表
+            await updateBackupsList();
+        }
+        return success;
+    } catch (error) {
+        console.error(`[${pluginId}] 条件备份执行失败:`, error);
+        toastr.error(`备份失败: ${error.message || '未知错误'}`, pluginId);
+        return false;
+    } finally {
+        isBackupInProgress = false;
+        logDebug('释放备份锁');
+    }
+}
+
+// --- 防抖备份函数 ---
+function performBackupDebounced() {
+    // 获取调用时的上下文和设置
+    const scheduledChatKey = getCurrentChatKey();
+    const currentSettings = extension_settings[PLUGIN_NAME];
+
+    if (!scheduledChatKey) {
+        // logDebug('无法获取计划防抖备份时的 ChatKey，取消'); // 避免频繁日志
+        clearTimeout(backupTimeout);
+        backupTimeout = null;
+        return;
+    }
+
+    if (!currentSettings || typeof currentSettings.backupDebounceDelay !== 'number') {
+        console.error(`[${pluginId}] 无法获取有效的防抖延迟设置，取消防抖`);
+        clearTimeout(backupTimeout);
+        backupTimeout = null;
+        return;
+    }
+
+    const delay = currentSettings.backupDebounceDelay;
+
+    // logDebug(`计划执行防抖备份 (延迟 ${delay}ms), 针对 ChatKey: ${scheduledChatKey}`); // 避免频繁日志
+    clearTimeout(backupTimeout); // 清除旧的定时器
+
+    backupTimeout = setTimeout(async () => {
+        const currentChatKey = getCurrentChatKey(); // 获取执行时的 ChatKey
+
+        // 关键: 上下文检查，确保在延迟结束后仍然是同一个聊天
+        if (currentChatKey !== scheduledChatKey) {
             logDebug(`上下文已更改 (当前: ${currentChatKey}, 计划时: ${scheduledChatKey})，取消此防抖备份`);
             backupTimeout = null;
             return; // 中止备份
         }
 
-        logDebug(`执行延迟的备份操作 (来自防抖), ChatKey: ${currentChatKey}`);
-        // 只有上下文匹配时才执行条件备份
-        await performBackupConditional();
-        backupTimeout = null; // 清除定时器 ID
-    }, delay);
-}
+        logDebug(`执行延迟的备份操作 (来自防抖), ChatKey: ${currentChatKey}`);
+        // 只有上下文匹配时才执行条件备份
+        await performBackupConditional();
+        backupTimeout = null; // 清除定时器 ID
+    }, delay);
+}
+
+// --- 定时备份 ---
+// 补充事件驱动的备份: 作者注释、聊天元数据、扩展变量等修改不会触发上面的事件
+// 内容未变化时 performBackupConditional 会按内容指纹跳过；页面隐藏时暂停计时
+let backupIntervalTimer = null;
+
+function scheduleIntervalBackup() {
+    clearInterval(backupIntervalTimer);
+    backupIntervalTimer = null;
+
+    const minutes = extension_settings[PLUGIN_NAME]?.backupIntervalMinutes || 0;
+    if (minutes <= 0 || document.hidden) {
+        return;
+    }
+
+    backupIntervalTimer = setInterval(() => {
+        if (document.hidden || !getCurrentChatKey()) return;
+        logDebug(`执行定时备份 (每 ${minutes} 分钟)`);
+        performBackupConditional().catch(error => {
+            console.error(`[${pluginId}] 定时备份失败:`, error);
+        });
+    }, minutes * 60 * 1000);
+    logDebug(`定时备份已启动: 每 ${minutes} 分钟`);
+}
+
+// --- 手动备份 ---
+// quiet: 不显示结果提示 (供斜杠命令使用)，返回是否保存了新备份
+async function performManualBackup({ quiet = false } = {}) {
+    console.log(`[${pluginId}] 执行手动备份 (调用条件函数)`);
+    if (!await unlockBackupStore()) return false;
+    // 手动备份也走条件检查和锁逻辑
+    try {
+        const success = await performBackupConditional();
+        if (quiet) {
+            return !!success;
+        }
+        if (success) {
+             toastr.success('已手动备份当前聊天', pluginId);
+        } else {
+             // 如果 conditional 返回 false (例如，聊天为空或重复)，也给个提示
+             toastr.info('手动备份已跳过 (聊天为空或无新变化)', pluginId);
+        }
+        return !!success;
+    } catch (error) {
+         // 错误已经在 conditional 函数中处理并提示，这里不再重复
+         return false;
+    }
+}
+
+
+// --- 批量备份 (角色/群组的所有聊天，或全部聊天) ---
+// 列出角色或群组的所有聊天文件
+async function listChatFiles({ isGroup, entityId }) {
+    if (isGroup) {
+        const group = groups?.find(g => g.id === entityId);
+        return (group?.chats || []).map(chatId => ({ isGroup, entityId, chatId: String(chatId) }));
+    }
+
+    const response = await fetch('/api/characters/chats', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: entityId }),
+    });
+    if (!response.ok) {
+        throw new Error(`获取角色聊天列表失败! 状态: ${response.status}`);
+    }
+    const data = await response.json();
+    // 没有聊天时接口返回 { error: true }；旧版本返回以序号为键的对象
+    const files = (Array.isArray(data) ? data : Object.values(data || {})).filter(file => file?.file_name);
+    return files.map(file => ({ isGroup, entityId, chatId: String(file.file_name).replace(/\.jsonl$/, '') }));
+}
+
+// 列出所有角色和群组的聊天文件
+async function listAllChatFiles() {
+    const targets = [];
+    for (const character of characters || []) {
+        if (!character?.avatar) continue;
+        try {
+            targets.push(...await listChatFiles({ isGroup: false, entityId: character.avatar }));
+        } catch (error) {
+            console.warn(`[${pluginId}] 获取角色 ${character.name} 的聊天列表失败:`, error);
+        }
+    }
+    for (const group of groups || []) {
+        try {
+            targets.push(...await listChatFiles({ isGroup: true, entityId: group.id }));
+        } catch (error) {
+            console.warn(`[${pluginId}] 获取群组 ${group.name} 的聊天列表失败:`, error);
+        }
+    }
+    return targets;
+}
+
+// 等待其他备份完成后在备份锁内执行任务
+async function runWithBackupLock(task) {
+    while (isBackupInProgress) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    isBackupInProgress = true;
+    try {
+        return await task();
+    } finally {
+        isBackupInProgress = false;
+    }
+}
+
+// 备份一个聊天文件，空聊天或内容与最新备份相同时跳过，返回新备份的键 (未保存时返回 null)
+async function backupChatFile(target) {
+    const backup = await buildBackupForChatFile(target);
+    if (backup.lastMessageId < 0) {
+        logDebug(`聊天 ${target.chatId} 没有消息，跳过`);
+        return null;
+    }
+    const comparison = await compareWithLatestBackup(backup);
+    if (comparison.unchanged) {
+        logDebug(`聊天 ${target.chatId} 与最新备份相同，跳过`);
+        return null;
+    }
+    if (extension_settings[PLUGIN_NAME]?.captureContextState) {
+        await attachContextState(backup);
+    }
+    await saveBackupToDB(withChangeInfo(backup, comparison));
+    return [backup.chatKey, backup.timestamp];
+}
+
+/**
+ * 依次备份多个聊天文件，全部完成 (或取消) 后按保留策略统一清理一次 (本次新建的备份不参与这次清理)
+ * @param {object[]} targets listChatFiles 返回的聊天文件
+ * @param {{signal?: AbortSignal, onProgress?: function(number, number, object): void}} [options]
+ * @returns {Promise<{saved: number, unchanged: number, failed: number, cancelled: boolean}>}
+ */
+async function backupChatFiles(targets, { signal, onProgress } = {}) {
+    const result = { saved: 0, unchanged: 0, failed: 0, cancelled: false };
+    const created = new Set();
+    for (let i = 0; i < targets.length; i++) {
+        if (signal?.aborted) {
+            result.cancelled = true;
+            break;
+        }
+        onProgress?.(i, targets.length, targets[i]);
+        try {
+            const savedKey = await runWithBackupLock(() => backupChatFile(targets[i]));
+            if (savedKey) {
+                created.add(getSelectionKey(...savedKey));
+                result.saved++;
+            } else {
+                result.unchanged++;
+            }
+        } catch (error) {
+            console.warn(`[${pluginId}] 备份聊天 ${targets[i].chatId} 失败:`, error);
+            result.failed++;
+        }
+    }
+    onProgress?.(targets.length, targets.length, null);
+
+    if (result.saved > 0) {
+        await runWithBackupLock(() => applyRetentionPolicy(extension_settings[PLUGIN_NAME], { exempt: created }));
+    }
+    logDebug('批量备份完成:', result);
+    return result;
+}
+
+// 批量备份入口: scope 为 'entity' (当前角色/群组) 或 'all' (全部)
+let isBulkBackupRunning = false;
+async function runBulkBackup(scope) {
+    if (isBulkBackupRunning) {
+        toastr.info('批量备份正在进行中', pluginId);
+        return;
+    }
+    if (!await unlockBackupStore()) return;
+    isBulkBackupRunning = true;
+    try {
+        await runBulkBackupUnlocked(scope);
+    } finally {
+        isBulkBackupRunning = false;
+    }
+}
+
+/**
+ * 显示带进度条和「取消」按钮的进度弹窗 (批量备份和批量操作共用)
+ * 用户点击「取消」或关闭弹窗后 signal 被中止，调用方在处理下一项前检查
+ */
+function createProgressPopup(title, total) {
+    const content = document.createElement('div');
+    content.className = 'backup_bulk_dialog';
+    content.innerHTML = `
+        <h3></h3>
+        <progress class="backup_bulk_progress" max="${total}" value="0"></progress>
+        <div class="backup_bulk_status"></div>`;
+    content.querySelector('h3').textContent = title;
+    const progressBar = content.querySelector('.backup_bulk_progress');
+    const status = content.querySelector('.backup_bulk_status');
+
+    const controller = new AbortController();
+    let finished = false;
+    const popup = new Popup(content, POPUP_TYPE.TEXT, null, {
+        okButton: '取消',
+        onClose: () => {
+            if (!finished) controller.abort();
+        },
+    });
+    popup.show();
+
+    return {
+        signal: controller.signal,
+        update(done, text = '', newTotal = null) {
+            if (newTotal !== null) progressBar.max = newTotal;
+            progressBar.value = done;
+            status.textContent = text;
+        },
+        async close() {
+            finished = true;
+            if (!controller.signal.aborted) {
+                await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+            }
+        },
+    };
+}
+
+async function runBulkBackupUnlocked(scope) {
+    const { isGroup, entityId, entityName } = getCurrentChatInfo();
+    if (scope === 'entity' && !entityId) {
+        toastr.warning('请先选择一个角色或群组', pluginId);
+        return;
+    }
+
+    let targets;
+    try {
+        toastr.info('正在获取聊天列表...', pluginId);
+        targets = scope === 'entity' ? await listChatFiles({ isGroup, entityId }) : await listAllChatFiles();
+    } catch (error) {
+        console.error(`[${pluginId}] 获取聊天列表失败:`, error);
+        toastr.error(`获取聊天列表失败: ${error.message || error}`, pluginId);
+        return;
+    }
+    if (targets.length === 0) {
+        toastr.info('没有找到可备份的聊天', pluginId);
+        return;
+    }
+
+    const settings = extension_settings[PLUGIN_NAME];
+    const scopeText = scope === 'entity' ? `「${entityName}」的全部 ${targets.length} 个聊天` : `所有角色和群组的 ${targets.length} 个聊天`;
+    const confirmed = await callGenericPopup(
+        `将备份${scopeText}，内容未变化的聊天会跳过。本次新建的备份不会在这次运行中被清理，但之后的自动备份仍会按保留策略 (每个角色/群组 ${settings.maxBackupsPerEntity} 个，全局 ${settings.maxTotalBackups} 个) 清理超出上限的备份。是否继续？`,
+        POPUP_TYPE.CONFIRM,
+        null,
+        { okButton: '开始备份', cancelButton: '取消' }
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const progress = createProgressPopup('批量备份', targets.length);
+    const result = await backupChatFiles(targets, {
+        signal: progress.signal,
+        onProgress: (done, total, target) => progress.update(done, target ? `(${done + 1}/${total}) ${target.chatId}` : `已完成 ${total} 个`),
+    });
+    await progress.close();
+
+    const summary = `新增 ${result.saved} 个备份，未变化 ${result.unchanged} 个，失败 ${result.failed} 个`;
+    if (result.cancelled) {
+        toastr.warning(`批量备份已取消: ${summary}`, pluginId);
+    } else if (result.failed > 0) {
+        toastr.warning(`批量备份完成: ${summary}`, pluginId);
+    } else {
+        toastr.success(`批量备份完成: ${summary}`, pluginId);
+    }
+    await updateBackupsList();
+}
+
+
+// --- 命名快照与固定 ---
+// 修改备份记录中的元数据字段 (不改变聊天内容和存储方式)
+async function updateBackupMeta(chatKey, timestamp, changes) {
+    const meta = await getBackupMeta(chatKey, timestamp);
+    if (!meta) {
+        throw new Error('找不到指定的备份');
+    }
+    await putBackupRecord({ ...meta, ...changes });
+    logDebug(`已更新备份 [${chatKey}, ${timestamp}] 的元数据:`, changes);
+    mirrorBackupUpdate(chatKey, timestamp);
+}
+
+// 弹出名称和备注的编辑表单，取消时返回 null
+async function promptSnapshotLabel({ label = '', note = '' } = {}, title = '命名快照') {
+    const form = document.createElement('div');
+    form.className = 'backup_label_form';
+    form.innerHTML = `
+        <h3></h3>
+        <label>名称</label>
+        <input type="text" class="text_pole backup_label_input" maxlength="100">
+        <label>备注</label>
+        <textarea class="text_pole backup_note_input" rows="4"></textarea>`;
+    form.querySelector('h3').textContent = title;
+    form.querySelector('.backup_label_input').value = label;
+    form.querySelector('.backup_note_input').value = note;
+
+    const result = await callGenericPopup(form, POPUP_TYPE.CONFIRM, '', { okButton: '保存', cancelButton: '取消' });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+    return {
+        label: form.querySelector('.backup_label_input').value.trim(),
+        note: form.querySelector('.backup_note_input').value.trim(),
+    };
+}
+
+// 为当前聊天创建一个带名称和备注的固定快照 (不受重复检查和自动清理影响)
+async function createNamedSnapshot() {
+    if (!getCurrentChatKey()) {
+        toastr.warning('请先打开一个聊天', pluginId);
+        return false;
+    }
+    if (isBackupInProgress) {
+        toastr.info('备份正在进行中，请稍后再试', pluginId);
+        return false;
+    }
+
+    const labelInfo = await promptSnapshotLabel({ label: `快照 ${new Date().toLocaleString()}` });
+    if (!labelInfo) return false;
+
+    const success = await performBackupConditional({
+        force: true,
+        extraFields: { pinned: true, label: labelInfo.label, note: labelInfo.note },
+    });
+    if (success) {
+        toastr.success(`已创建快照「${labelInfo.label || '未命名'}」`, pluginId);
+    }
+    return !!success;
+}
+
+
+// --- 危险操作前的安全快照 ---
+// 安全快照是否仍在保护期内 (保护期内不参与自动清理)
+function isSafetySnapshotProtected(meta, settings, now = Date.now()) {
+    const hours = settings?.safetySnapshotHours ?? 0;
+    return !!meta.safety && hours > 0 && now - meta.timestamp < hours * 60 * 60 * 1000;
+}
+
+/**
+ * 记录当前聊天的基线: 消息数组的浅拷贝和聊天元数据
+ * 删除消息只会把消息对象移出数组而不改动它们，因此在 MESSAGE_DELETED 时仍可由基线还原删除前的内容
+ * @returns {object|null} 没有打开聊天时返回 null
+ */
+function captureChatBaseline() {
+    const chatKey = getCurrentChatKey();
+    const context = getContext();
+    if (!chatKey || !Array.isArray(context.chat)) return null;
+    return {
+        chatKey,
+        chatId: context.chatId,
+        info: getCurrentChatInfo(),
+        messages: [...context.chat],
+        metadata: context.chatMetadata || {},
+        name1: context.name1,
+        name2: context.name2,
+    };
+}
+
+// 从内存中的聊天同步构建备份对象 (默认取当前聊天；此时危险操作还没有修改聊天，服务器上的文件也可能尚未保存最新内容)
+function buildBackupFromContext(extraFields = {}, baseline = captureChatBaseline()) {
+    if (!baseline?.messages.length) return null;
+
+    const { chatKey, chatId, info: { entityName, chatName, entityId, isGroup } } = baseline;
+    const messages = structuredClone(baseline.messages);
+    const metadata = structuredClone(baseline.metadata);
+    const lastMessage = messages[messages.length - 1];
+    const content = isGroup
+        ? { rawChatData: messages, groupMetadata: metadata }
+        : {
+            rawChatData: [
+                { user_name: baseline.name1, character_name: baseline.name2, create_date: messages[0]?.send_date, chat_metadata: metadata },
+                ...messages,
+            ],
+            groupMetadata: undefined,
+        };
+
+    return {
+        timestamp: Date.now(),
+        chatKey,
+        entityName,
+        chatName,
+        entityId,
+        isGroup,
+        identityVersion: CHAT_IDENTITY_VERSION,
+        chatId,
+        lastMessageId: messages.length - 1,
+        lastMessagePreview: lastMessage?.mes?.substring(0, 100) || '(空消息)',
+        ...content,
+        ...extraFields,
+    };
+}
+
+// 安全快照依次保存，避免与自身并发写入同一个聊天的增量链
+let safetySnapshotQueue = Promise.resolve();
+
+/**
+ * 在危险操作之前为当前聊天 (或指定的聊天文件) 拍摄安全快照
+ * 当前聊天的内容在调用时同步复制，保存过程在后台排队进行
+ * 与该聊天最新备份内容相同且最新备份已受保护时跳过
+ * @param {string} trigger 触发操作 (见 BACKUP_TRIGGER_LABELS)
+ * @param {{isGroup: boolean, entityId: string, chatId: string}} [target] 非当前聊天时的目标聊天文件
+ * @param {object} [baseline] 用 captureChatBaseline 记录的聊天状态代替当前聊天 (操作已经发生后使用)
+ * @returns {Promise<boolean>} 是否保存了快照
+ */
+function takeSafetySnapshot(trigger, target = null, baseline = null) {
+    if (isBackupStoreLocked()) {
+        notifyBackupStoreLocked();
+        return Promise.resolve(false);
+    }
+    const extraFields = { trigger, safety: true };
+    let snapshot = null;
+    if (!target) {
+        try {
+            snapshot = baseline ? buildBackupFromContext(extraFields, baseline) : buildBackupFromContext(extraFields);
+        } catch (error) {
+            console.error(`[${pluginId}] 构建安全快照失败:`, error);
+            return Promise.resolve(false);
+        }
+        if (!snapshot) return Promise.resolve(false);
+    }
+
+    const task = safetySnapshotQueue.then(async () => {
+        const backup = snapshot || await buildBackupForChatFile(target, extraFields);
+        const comparison = await compareWithLatestBackup(backup);
+        const { latest } = comparison;
+        if (comparison.unchanged && (latest.pinned || isSafetySnapshotProtected(latest, extension_settings[PLUGIN_NAME]))) {
+            logDebug(`安全快照 (${trigger}) 与已受保护的最新备份相同，跳过`);
+            return false;
+        }
+
+        await saveBackupToDB(withChangeInfo(backup, comparison));
+        logDebug(`已保存安全快照 (${trigger}): [${backup.chatKey}, ${backup.timestamp}]`);
+        updateBackupsList();
+        return true;
+    }).catch(error => {
+        console.error(`[${pluginId}] 保存安全快照 (${trigger}) 失败:`, error);
+        toastr.warning(`操作前的安全快照保存失败: ${error.message || error}`, pluginId);
+        return false;
+    });
+    safetySnapshotQueue = task;
+    return task;
+}
+
+// 在捕获阶段监听危险操作的点击 (早于 SillyTavern 自身的处理函数)，并通过事件补充其他途径的删除
+function setupSafetySnapshotTriggers() {
+    // 最近一次聊天内容的基线，captured 表示这份内容已由点击触发的快照保存过
+    let baseline = captureChatBaseline();
+    let previousBaseline = null;
+    let deletionBurstTimer = null;
+
+    document.addEventListener('click', (event) => {
+        if (!(event.target instanceof Element)) return;
+        for (const { selector, trigger } of SAFETY_CLICK_TRIGGERS) {
+            const element = event.target.closest(selector);
+            if (!element) continue;
+
+            // 聊天管理中删除的可能是其他聊天文件
+            if (trigger === 'pre-delete-chat') {
+                const fileName = element.getAttribute('file_name')
+                    || element.closest('.select_chat_block_wrapper')?.querySelector('.select_chat_block')?.getAttribute('file_name');
+                const chatId = fileName?.replace(/\.jsonl$/, '');
+                const { isGroup, entityId } = getCurrentChatInfo();
+                if (chatId && entityId && chatId !== getContext().chatId) {
+                    takeSafetySnapshot(trigger, { isGroup, entityId, chatId });
+                    return;
+                }
+            }
+            // 快照与基线取自同一内容，随后的 MESSAGE_DELETED 不再重复保存
+            baseline = captureChatBaseline();
+            if (baseline) baseline.captured = true;
+            takeSafetySnapshot(trigger, null, baseline);
+            return;
+        }
+    }, true);
+
+    // 重新生成会先删除最后一条回复
+    eventSource.on(event_types.GENERATION_STARTED, (type, _options, dryRun) => {
+        if (type === 'regenerate' && !dryRun) {
+            takeSafetySnapshot('pre-regenerate');
+        }
+    });
+
+    // 其他途径的删除 (/cut、/del、脚本和其他扩展) 没有事先可监听的事件，在 MESSAGE_DELETED 时由基线还原删除前的内容
+    const refreshBaseline = () => {
+        if (deletionBurstTimer) return;
+        const current = captureChatBaseline();
+        if (baseline && current?.chatKey !== baseline.chatKey) previousBaseline = baseline;
+        baseline = current;
+    };
+    SAFETY_BASELINE_EVENTS
+        .filter(name => event_types[name])
+        .forEach(name => eventSource.on(event_types[name], refreshBaseline));
+
+    eventSource.on(event_types.MESSAGE_DELETED, () => {
+        if (!deletionBurstTimer && baseline?.chatKey === getCurrentChatKey() && baseline.messages.length > 0 && !baseline.captured) {
+            const cleared = (getContext().chat?.length ?? 0) === 0;
+            takeSafetySnapshot(cleared ? 'pre-clear-chat' : 'pre-delete-message', null, baseline);
+        }
+        clearTimeout(deletionBurstTimer);
+        deletionBurstTimer = setTimeout(() => {
+            deletionBurstTimer = null;
+            refreshBaseline();
+        }, SAFETY_DELETION_BURST_MS);
+    });
+
+    // 删除当前聊天文件 (如 /delchat) 后聊天可能已经切换，基线中仍保留着被删除聊天的内容
+    [event_types.CHAT_DELETED, event_types.GROUP_CHAT_DELETED].filter(Boolean).forEach(eventType => {
+        eventSource.on(eventType, (chatName) => {
+            const deleted = [baseline, previousBaseline].find(state => state?.chatId && state.chatId === String(chatName).replace(/\.jsonl$/, ''));
+            if (deleted?.messages.length > 0 && !deleted.captured) {
+                takeSafetySnapshot('pre-delete-chat', null, deleted);
+            }
+        });
+    });
+    logDebug('已设置危险操作前的安全快照');
+}
+
+
+// --- 聊天相关状态 (角色卡、世界书、用户角色、群组成员) ---
+// 对比差异时检查的角色卡字段 (V2 角色卡的 data 字段)
+const CARD_DIFF_FIELDS = {
+    name: '名称',
+    description: '描述',
+    personality: '性格',
+    scenario: '场景',
+    first_mes: '开场白',
+    mes_example: '对话示例',
+    system_prompt: '系统提示词',
+    post_history_instructions: '历史后指令',
+    alternate_greetings: '备选开场白',
+    creator_notes: '作者备注',
+    tags: '标签',
+    extensions: '扩展数据',
+};
+
+async function fetchCharacterCard(avatar) {
+    const response = await fetch('/api/characters/get', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ avatar_url: avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`获取角色卡失败! 状态: ${response.status}`);
+    }
+    return response.json();
+}
+
+// 聊天关联的世界书名称: 聊天绑定的世界书、角色的主世界书和附加世界书 (群组为所有成员的)
+function getLinkedWorldInfoNames(chatMetadata, cards) {
+    const names = new Set();
+    if (chatMetadata?.[WORLD_INFO_METADATA_KEY]) {
+        names.add(chatMetadata[WORLD_INFO_METADATA_KEY]);
+    }
+    cards.forEach(card => {
+        const primary = card?.data?.extensions?.world;
+        if (primary) names.add(primary);
+        const fileName = card?.avatar ? getCharaFilename(null, { manualAvatarKey: card.avatar }) : null;
+        const extraBooks = world_info?.charLore?.find(entry => entry.name === fileName)?.extraBooks || [];
+        extraBooks.forEach(name => names.add(name));
+    });
+    return [...names];
+}
+
+// 当前用户角色 (persona) 的名称和描述
+function capturePersona() {
+    return {
+        avatar: user_avatar,
+        name: power_user.personas?.[user_avatar] ?? getContext().name1,
+        description: power_user.persona_descriptions?.[user_avatar]?.description ?? power_user.persona_description ?? '',
+    };
+}
+
+/**
+ * 读取与备份对应的角色卡 (或群组成员)、关联的世界书和当前用户角色，写入 backup.contextState
+ * 读取失败时只记录警告，不影响聊天本身的备份
+ * @param {object} backup 含聊天内容的备份对象
+ */
+async function attachContextState(backup) {
+    try {
+        const { metadata } = extractChatContent(backup);
+        const chatMetadata = backup.isGroup ? metadata : metadata.chat_metadata;
+        const state = { capturedAt: Date.now(), worldInfo: {}, persona: capturePersona() };
+
+        let cards;
+        if (backup.isGroup) {
+            const group = groups?.find(g => g.id === backup.entityId);
+            state.group = {
+                members: [...(group?.members || [])],
+                disabled_members: [...(group?.disabled_members || [])],
+            };
+            cards = state.group.members.map(avatar => characters[findCharacterIndex(avatar)]).filter(Boolean);
+        } else {
+            state.character = await fetchCharacterCard(backup.entityId);
+            cards = [state.character];
+        }
+
+        for (const name of getLinkedWorldInfoNames(chatMetadata, cards)) {
+            const data = await loadWorldInfo(name);
+            if (data) state.worldInfo[name] = structuredClone(data);
+        }
+
+        backup.contextState = state;
+        backup.hasContextState = true;
+        logDebug(`已读取相关状态: 世界书 ${Object.keys(state.worldInfo).length} 本`);
+    } catch (error) {
+        console.warn(`[${pluginId}] 读取角色卡/世界书等相关状态失败，仅备份聊天内容:`, error);
+    }
+}
+
+// 将值转为便于显示的短文本
+function formatStateValue(value, maxLength = 200) {
+    if (value === undefined || value === null || value === '') return '(空)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+// 比较两个对象的指定字段，返回发生变化的字段
+function diffStateFields(saved, current, fields) {
+    return Object.entries(fields)
+        .filter(([field]) => JSON.stringify(saved?.[field] ?? null) !== JSON.stringify(current?.[field] ?? null))
+        .map(([field, label]) => ({ label, before: formatStateValue(current?.[field]), after: formatStateValue(saved?.[field]) }));
+}
+
+// 比较世界书条目 (按 uid)，返回新增、删除和修改的条目
+function diffWorldInfoEntries(saved, current) {
+    const savedEntries = saved?.entries || {};
+    const currentEntries = current?.entries || {};
+    const entryName = entry => entry.comment || (entry.key || []).join(', ') || `#${entry.uid}`;
+    const changes = [];
+    Object.entries(savedEntries).forEach(([uid, entry]) => {
+        if (!(uid in currentEntries)) {
+            changes.push({ label: `条目「${entryName(entry)}」`, before: '(已删除)', after: formatStateValue(entry.content, 100) });
+        } else if (JSON.stringify(entry) !== JSON.stringify(currentEntries[uid])) {
+            changes.push({ label: `条目「${entryName(entry)}」`, before: formatStateValue(currentEntries[uid].content, 100), after: formatStateValue(entry.content, 100) });
+        }
+    });
+    Object.entries(currentEntries).forEach(([uid, entry]) => {
+        if (!(uid in savedEntries)) {
+            changes.push({ label: `条目「${entryName(entry)}」`, before: formatStateValue(entry.content, 100), after: '(备份中没有)' });
+        }
+    });
+    return changes;
+}
+
+/**
+ * 将备份中的相关状态与当前版本逐项比较
+ * @returns {Promise<object[]>} 每项为 { key, label, changes, restorable, note, restore }
+ */
+async function compareContextState(backup) {
+    const state = backup.contextState;
+    const components = [];
+
+    if (state.character) {
+        let current = null;
+        try {
+            current = await fetchCharacterCard(backup.entityId);
+        } catch (error) {
+            logDebug('读取当前角色卡失败:', error);
+        }
+        components.push({
+            key: 'character',
+            label: `角色卡: ${state.character.name || backup.entityName}`,
+            changes: current ? diffStateFields(state.character.data, current.data, CARD_DIFF_FIELDS) : [],
+            restorable: !!current,
+            note: current ? '' : '角色已不存在，无法恢复角色卡',
+            restore: () => restoreCharacterCard(backup.entityId, state.character),
+        });
+    }
+
+    for (const [name, saved] of Object.entries(state.worldInfo || {})) {
+        const current = await loadWorldInfo(name);
+        components.push({
+            key: `world:${name}`,
+            label: `世界书: ${name}`,
+            changes: current ? diffWorldInfoEntries(saved, current) : [{ label: '世界书', before: '(已删除)', after: `${Object.keys(saved.entries || {}).length} 个条目` }],
+            restorable: true,
+            note: '',
+            restore: async () => {
+                await saveWorldInfo(name, structuredClone(saved), true);
+                await updateWorldInfoList();
+            },
+        });
+    }
+
+    if (state.persona) {
+        const { avatar } = state.persona;
+        const exists = !!power_user.personas?.[avatar];
+        const stored = {
+            name: power_user.personas?.[avatar],
+            description: power_user.persona_descriptions?.[avatar]?.description ?? '',
+        };
+        components.push({
+            key: 'persona',
+            label: `用户角色: ${state.persona.name}`,
+            changes: exists ? diffStateFields(state.persona, stored, { name: '名称', description: '描述' }) : [],
+            restorable: exists,
+            note: exists ? '只恢复该用户角色的设定，不切换当前使用的用户角色' : '该用户角色已被删除，无法恢复',
+            restore: () => restorePersona(state.persona),
+        });
+        // 切换当前使用的用户角色是单独的一项，只有勾选时才切换
+        if (avatar !== user_avatar) {
+            const current = capturePersona();
+            components.push({
+                key: 'persona-active',
+                label: '当前使用的用户角色',
+                changes: [{ label: '用户角色', before: current.name, after: state.persona.name }],
+                restorable: exists,
+                note: exists ? '' : '该用户角色已被删除，无法切换',
+                restore: () => setUserAvatar(avatar),
+            });
+        }
+    }
+
+    if (state.group) {
+        const group = groups?.find(g => g.id === backup.entityId);
+        const nameOf = avatar => characters[findCharacterIndex(avatar)]?.name || avatar;
+        const currentMembers = group?.members || [];
+        const changes = [
+            ...state.group.members.filter(avatar => !currentMembers.includes(avatar))
+                .map(avatar => ({ label: `成员 ${nameOf(avatar)}`, before: '(不在群组中)', after: '(在群组中)' })),
+            ...currentMembers.filter(avatar => !state.group.members.includes(avatar))
+                .map(avatar => ({ label: `成员 ${nameOf(avatar)}`, before: '(在群组中)', after: '(不在群组中)' })),
+        ];
+        const missing = state.group.members.filter(avatar => findCharacterIndex(avatar) === -1);
+        components.push({
+            key: 'group',
+            label: '群组成员',
+            changes,
+            restorable: !!group,
+            note: missing.length ? `${missing.length} 个成员角色已不存在，恢复时会跳过` : '',
+            restore: () => restoreGroupMembers(group, state.group),
+        });
+    }
+
+    return components;
+}
+
+/**
+ * 用备份中的完整角色卡覆盖当前角色卡
+ * /api/characters/edit 以 json_data 为基础重建角色卡 (merge-attributes 是深度合并，会留下备份之后新增的字段)
+ * 角色当前打开的聊天文件保持不变
+ */
+async function restoreCharacterCard(avatar, savedCard) {
+    const data = savedCard.data || {};
+    const extensions = data.extensions || {};
+    const fields = {
+        avatar_url: avatar,
+        ch_name: savedCard.name ?? data.name,
+        description: savedCard.description ?? data.description ?? '',
+        personality: savedCard.personality ?? data.personality ?? '',
+        scenario: savedCard.scenario ?? data.scenario ?? '',
+        first_mes: savedCard.first_mes ?? data.first_mes ?? '',
+        mes_example: savedCard.mes_example ?? data.mes_example ?? '',
+        creator_notes: data.creator_notes ?? savedCard.creatorcomment ?? '',
+        system_prompt: data.system_prompt ?? '',
+        post_history_instructions: data.post_history_instructions ?? '',
+        tags: (savedCard.tags ?? data.tags ?? []).join(', '),
+        creator: data.creator ?? '',
+        character_version: data.character_version ?? '',
+        talkativeness: extensions.talkativeness ?? savedCard.talkativeness ?? 0.5,
+        fav: extensions.fav ?? savedCard.fav ?? false,
+        world: extensions.world ?? '',
+        depth_prompt_prompt: extensions.depth_prompt?.prompt ?? '',
+        depth_prompt_depth: extensions.depth_prompt?.depth ?? 4,
+        depth_prompt_role: extensions.depth_prompt?.role ?? 'system',
+        extensions: JSON.stringify(extensions),
+        json_data: JSON.stringify(savedCard),
+        chat: characters[findCharacterIndex(avatar)]?.chat ?? savedCard.chat ?? '',
+        create_date: savedCard.create_date ?? '',
+    };
+    const formData = new FormData();
+    Object.entries(fields).forEach(([name, value]) => formData.append(name, String(value)));
+    (data.alternate_greetings || []).forEach(greeting => formData.append('alternate_greetings', greeting));
+
+    // FormData 需要浏览器自动设置带 boundary 的 Content-Type
+    const headers = getRequestHeaders();
+    delete headers['Content-Type'];
+    const response = await fetch('/api/characters/edit', {
+        method: 'POST',
+        headers,
+        body: formData,
+    });
+    if (!response.ok) {
+        throw new Error(`保存角色卡失败! 状态: ${response.status}`);
+    }
+    await getCharacters();
+}
+
+// 恢复用户角色的名称和描述 (不切换当前使用的用户角色；切换见 compareContextState 中的 persona-active)
+async function restorePersona(savedPersona) {
+    const { avatar, name, description } = savedPersona;
+    power_user.personas[avatar] = name;
+    power_user.persona_descriptions[avatar] = { ...(power_user.persona_descriptions[avatar] || {}), description };
+    if (user_avatar === avatar) {
+        power_user.persona_description = description;
+    }
+    saveSettingsDebounced();
+}
+
+async function restoreGroupMembers(group, savedGroup) {
+    const exists = avatar => findCharacterIndex(avatar) !== -1;
+    group.members = savedGroup.members.filter(exists);
+    group.disabled_members = savedGroup.disabled_members.filter(exists);
+    await editGroup(group.id, true, false);
+}
+
+// 恢复聊天后，显示相关状态与当前版本的差异，并恢复用户勾选的部分
+async function offerContextStateRestore(backup) {
+    let components;
+    try {
+        components = await compareContextState(backup);
+    } catch (error) {
+        console.error(`[${pluginId}] 比较相关状态失败:`, error);
+        toastr.warning(`无法比较备份中的角色卡/世界书: ${error.message || error}`, pluginId);
+        return;
+    }
+    const changed = components.filter(component => component.changes.length > 0);
+    if (changed.length === 0) {
+        logDebug('备份中的相关状态与当前版本一致');
+        return;
+    }
+
+    const content = document.createElement('div');
+    content.className = 'backup_context_dialog';
+    content.innerHTML = `
+        <h3>角色卡、世界书等与备份时不同</h3>
+        <p>勾选要一起恢复为备份时版本的项目，展开可查看差异 (当前 → 备份)。</p>
+        <div class="backup_context_list"></div>`;
+    const list = content.querySelector('.backup_context_list');
+    changed.forEach((component, index) => {
+        const item = document.createElement('details');
+        item.className = 'backup_context_item';
+        item.innerHTML = `
+            <summary>
+                <input type="checkbox" class="backup_context_check" data-index="${index}">
+                <span class="backup_context_label"></span>
+                <span class="backup_tag"></span>
+            </summary>
+            <div class="backup_context_note backup_warning"></div>
+            <ul class="backup_context_changes"></ul>`;
+        const checkbox = item.querySelector('.backup_context_check');
+        checkbox.disabled = !component.restorable;
+        checkbox.addEventListener('click', event => event.stopPropagation());
+        item.querySelector('.backup_context_label').textContent = component.label;
+        item.querySelector('.backup_tag').textContent = `${component.changes.length} 处不同`;
+        item.querySelector('.backup_context_note').textContent = component.note;
+        const changeList = item.querySelector('.backup_context_changes');
+        component.changes.forEach(change => {
+            const li = document.createElement('li');
+            li.textContent = `${change.label}: ${change.before} → ${change.after}`;
+            changeList.appendChild(li);
+        });
+        list.appendChild(item);
+    });
+
+    const result = await callGenericPopup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: '恢复所选',
+        cancelButton: '保持当前版本',
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const selected = [...content.querySelectorAll('.backup_context_check:checked')].map(checkbox => changed[Number(checkbox.dataset.index)]);
+    let restored = 0;
+    for (const component of selected) {
+        try {
+            await component.restore();
+            restored++;
+        } catch (error) {
+            console.error(`[${pluginId}] 恢复 ${component.label} 失败:`, error);
+            toastr.error(`恢复 ${component.label} 失败: ${error.message || error}`, pluginId);
+        }
+    }
+    if (restored > 0) {
+        toastr.success(`已恢复 ${restored} 项相关状态`, pluginId);
+    }
+}
+
+
+// --- 恢复逻辑 (使用后端API导入/保存文件) ---
+// 将备份内容保存为新的聊天文件 (角色: /api/chats/save；群组: /api/chats/group/import)，返回新聊天的ID
+async function saveBackupAsNewChatFile(backupData, targetEntityId, jsonlString, metadataToImport, messagesToImport) {
+    const { isGroup } = backupData;
+
+    // 3. 将 .jsonl 字符串转换为 File 对象
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const restoredFilename = `${backupData.entityName.replace(/\s+/g, '_')}_restored_${timestamp}.jsonl`; // 使用实体名和时间戳
+    const chatFileObject = new File([jsonlString], restoredFilename, { type: "application/json-lines" });
+    logDebug('步骤 3: .jsonl 字符串转换为 File 对象完成:', chatFileObject);
+
+    // 4. 调用后端导入 API
+    logDebug('步骤 4: 调用后端导入 API...');
+    const formData = new FormData();
+    formData.append('file', chatFileObject);
+    formData.append('file_type', 'jsonl');
+
+    let importUrl = '';
+    let newChatIdAfterImport = null; // 保存导入成功后的新chatId
+
+    if (isGroup) {
+        importUrl = '/api/chats/group/import';
+        formData.append('group_id', targetEntityId); // 目标群组ID
+        // 导入API会返回新创建的聊天ID，我们需要捕获它
+    } else {
+         // 角色导入API (/api/chats/import) 似乎只导入角色卡，没有直接导入聊天文件的API到现有角色
+         // 我们需要使用 /api/chats/save 来保存备份数据为新文件，然后打开
+         // 这里不走导入API，直接走保存+打开流程
+         logDebug('步骤 4 (角色): 不使用导入API，直接走保存+打开流程');
+    }
+
+    if (isGroup) {
+         // 群组：使用导入API
+         try {
+            const response = await fetch(importUrl, {
+                method: 'POST',
+                headers: getRequestHeaders(), // FormData 会自动设置 Content-Type
+                body: formData,
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(`群组聊天导入API调用失败! 状态: ${response.status} - ${errorData.error || '未知错误'}`);
+            }
+            const importResult = await response.json();
+            logDebug(`步骤 4: 群组导入API响应:`, importResult);
+
+            if (importResult.res) { // importResult.res 是新创建的聊天ID
+                newChatIdAfterImport = importResult.res;
+                logDebug(`步骤 4: 群组导入成功，新聊天ID: ${newChatIdAfterImport}`);
+            } else {
+                throw new Error('群组聊天导入API未返回预期的聊天ID。');
+            }
+        } catch (error) {
+            console.error(`[${pluginId}] 步骤 4 失败: 群组导入API调用出错:`, error);
+            throw new Error(`群组聊天导入失败: ${error.message || error}`);
+        }
+
+    } else {
+        // 角色：使用保存API将备份数据保存为新文件
+        const character = characters[findCharacterIndex(targetEntityId)];
+        if (!character) throw new Error(`找不到头像为 ${targetEntityId} 的目标角色信息`);
+
+        const newChatIdForRole = restoredFilename.replace('.jsonl', ''); // 使用生成的文件名作为chatId
+
+        try {
+            logDebug(`步骤 4 (角色): 尝试将备份内容保存为新聊天文件: ${newChatIdForRole}.jsonl`);
+            const saveResponse = await fetch('/api/chats/save', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({
+                    ch_name: character.name,
+                    file_name: newChatIdForRole, // 新文件名
+                    chat: [{ chat_metadata: metadataToImport }, ...messagesToImport], // 构造 [metadata, messages...] 数组
+                    avatar_url: character.avatar,
+                    force: true // 强制保存，覆盖同名文件（如果需要）
+                }),
+            });
+
+            if (!saveResponse.ok) {
+                const errorData = await saveResponse.json();
+                 throw new Error(`保存角色聊天文件失败! 状态: ${saveResponse.status} - ${errorData.error || '未知错误'}`);
+            }
+            logDebug(`步骤 4 (角色): 新聊天文件 ${newChatIdForRole}.jsonl 应已保存。`);
+            newChatIdAfterImport = newChatIdForRole; // 保存的文件名就是新的chatId
+
+        } catch (error) {
+             console.error(`[${pluginId}] 步骤 4 失败: 保存角色聊天文件出错:`, error);
+             throw new Error(`保存角色聊天文件失败: ${error.message || error}`);
+        }
+    }
+
+    return newChatIdAfterImport;
+}
+
+// 将聊天内容写入指定的聊天文件 (覆盖同名文件)；rawChatData 为角色的 [metadata, ...messages] 或群组的消息数组
+async function writeChatFile({ isGroup, entityId, chatId }, rawChatData) {
+    if (isGroup) {
+        // 群组聊天文件按获取时的原样写回 (消息数组)
+        const response = await fetch('/api/chats/group/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ id: chatId, chat: rawChatData }),
+        });
+        if (!response.ok) {
+            throw new Error(`覆盖群组聊天文件失败! 状态: ${response.status}`);
+        }
+    } else {
+        const character = characters[findCharacterIndex(entityId)];
+        if (!character) throw new Error(`找不到头像为 ${entityId} 的目标角色信息`);
+
+        const response = await fetch('/api/chats/save', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({
+                ch_name: character.name,
+                file_name: chatId, // 原文件名
+                chat: rawChatData, // 保留完整的元数据头 [metadata, messages...]
+                avatar_url: character.avatar,
+                force: true, // 覆盖原文件
+            }),
+        });
+        if (!response.ok) {
+            throw new Error(`覆盖角色聊天文件失败! 状态: ${response.status}`);
+        }
+    }
+}
+
+/**
+ * 原位恢复: 先将原聊天文件的当前内容保存为一个备份，再用备份内容覆盖原文件
+ * @returns {Promise<{snapshot: object|null}|null>} 覆盖前的原文件内容 (无法读取时为 null)；用户选择不继续则返回 null
+ */
+async function overwriteChatFileInPlace(backupData, chatId) {
+    const { isGroup, entityId, rawChatData } = backupData;
+    const target = { isGroup, entityId, chatId };
+
+    // 覆盖前自动备份原文件
+    let snapshot = null;
+    try {
+        snapshot = await buildBackupForChatFile(target, { trigger: 'pre-restore-inplace', safety: true });
+        await saveBackupToDB(snapshot);
+        logDebug(`已在覆盖前备份原聊天文件: [${snapshot.chatKey}, ${snapshot.timestamp}]`);
+    } catch (error) {
+        console.warn(`[${pluginId}] 覆盖前备份原聊天文件失败:`, error);
+        snapshot = null;
+        const proceed = await callGenericPopup(
+            `无法读取原聊天文件「${chatId}」的当前内容 (可能已被删除)，因此无法在覆盖前备份它。是否仍要写入该文件？`,
+            POPUP_TYPE.CONFIRM,
+            null,
+            { okButton: '继续写入', cancelButton: '取消' }
+        );
+        if (proceed !== POPUP_RESULT.AFFIRMATIVE) return null;
+    }
+
+    await writeChatFile(target, rawChatData);
+    logDebug(`原聊天文件 ${chatId} 已被备份内容覆盖`);
+    return { snapshot };
+}
+
+// --- 恢复进度与回滚 ---
+/**
+ * 创建恢复进度弹窗，逐步显示恢复流程的状态
+ * 用户点击「取消」后，流程会在当前步骤结束时中止 (等待聊天切换时立即中止)
+ */
+function createRestoreProgress(title) {
+    const content = document.createElement('div');
+    content.className = 'backup_restore_dialog';
+    content.innerHTML = `<h3></h3><ol class="backup_restore_steps"></ol><div class="backup_restore_status"></div>`;
+    content.querySelector('h3').textContent = title;
+    const list = content.querySelector('.backup_restore_steps');
+    const status = content.querySelector('.backup_restore_status');
+
+    const items = new Map();
+    RESTORE_STEPS.forEach(({ key, label }) => {
+        const item = document.createElement('li');
+        item.dataset.state = 'pending';
+        item.innerHTML = `<i class="fa-regular fa-circle"></i><span></span>`;
+        item.querySelector('span').textContent = label;
+        list.appendChild(item);
+        items.set(key, item);
+    });
+
+    const controller = new AbortController();
+    let finished = false;
+    let currentStep = null;
+    const popup = new Popup(content, POPUP_TYPE.TEXT, null, {
+        okButton: '取消',
+        onClose: () => {
+            if (!finished) controller.abort();
+        },
+    });
+    popup.show();
+
+    const icons = {
+        pending: 'fa-regular fa-circle',
+        active: 'fa-solid fa-spinner fa-spin',
+        done: 'fa-solid fa-check',
+        skipped: 'fa-solid fa-forward',
+        failed: 'fa-solid fa-xmark',
+    };
+    const setState = (key, state, text = '') => {
+        const item = items.get(key);
+        if (!item) return;
+        item.dataset.state = state;
+        item.querySelector('i').className = icons[state];
+        status.textContent = text;
+    };
+
+    return {
+        signal: controller.signal,
+        get currentStep() {
+            return currentStep;
+        },
+        start(key, text = '') {
+            currentStep = key;
+            setState(key, 'active', text);
+        },
+        done(key) {
+            setState(key, 'done');
+            if (currentStep === key) currentStep = null;
+        },
+        skip(key, text = '') {
+            setState(key, 'skipped', text);
+        },
+        fail(text) {
+            if (currentStep) setState(currentStep, 'failed', text);
+        },
+        checkCancelled() {
+            if (controller.signal.aborted) {
+                throw new Error('用户取消了恢复');
+            }
+        },
+        async close() {
+            finished = true;
+            if (!controller.signal.aborted) {
+                await popup.complete(POPUP_RESULT.AFFIRMATIVE);
+            }
+        },
+    };
+}
+
+// 恢复步骤的显示名称
+function getRestoreStepLabel(key) {
+    return RESTORE_STEPS.find(step => step.key === key)?.label ?? key;
+}
+
+/**
+ * 执行会切换聊天的操作，并等待 SillyTavern 触发 CHAT_CHANGED 且切换到预期的聊天
+ * 事件监听在操作之前注册，避免错过操作内部同步触发的事件
+ * @param {() => Promise<any>} action 切换聊天的操作
+ * @param {() => boolean} isExpected 判断当前是否已是预期聊天
+ * @param {AbortSignal} [signal] 用户取消时立即停止等待
+ */
+async function runAndWaitForChatChange(action, isExpected, signal = null) {
+    let matched = false;
+    let notify = () => {};
+    const onChatChanged = () => {
+        if (isExpected()) {
+            matched = true;
+            notify();
+        }
+    };
+    const onAbort = () => notify();
+
+    eventSource.on(event_types.CHAT_CHANGED, onChatChanged);
+    signal?.addEventListener('abort', onAbort);
+    let timer = null;
+    try {
+        await action();
+        if (!matched && !signal?.aborted) {
+            await new Promise(resolve => {
+                notify = resolve;
+                timer = setTimeout(resolve, RESTORE_EVENT_TIMEOUT);
+            });
+        }
+    } finally {
+        clearTimeout(timer);
+        eventSource.removeListener(event_types.CHAT_CHANGED, onChatChanged);
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (signal?.aborted) {
+        throw new Error('用户取消了恢复');
+    }
+    // 超时后再检查一次，兼容操作完成时未触发事件的情况 (例如目标聊天本就已打开)
+    if (!matched && !isExpected()) {
+        throw new Error(`等待聊天加载超时 (${RESTORE_EVENT_TIMEOUT / 1000} 秒)`);
+    }
+}
+
+// 当前打开的聊天 ({ isGroup, entityId, chatId })，未打开聊天时返回 null
+function getCurrentChatTarget() {
+    const { isGroup, entityId } = getCurrentChatInfo();
+    const chatId = getCurrentChatId();
+    return entityId && chatId ? { isGroup, entityId, chatId } : null;
+}
+
+// 判断当前是否已选中指定的角色/群组
+function isCurrentEntity({ isGroup, entityId }) {
+    const context = getContext();
+    return isGroup
+        ? context.groupId === entityId
+        : !context.groupId && characters[context.characterId]?.avatar === entityId;
+}
+
+// 切换到指定的角色/群组 (会加载其最近的聊天)，已选中时直接返回
+async function switchToEntity({ isGroup, entityId }, signal = null) {
+    if (isCurrentEntity({ isGroup, entityId })) return false;
+
+    await runAndWaitForChatChange(async () => {
+        if (isGroup) {
+            await select_group_chats(entityId);
+        } else {
+            // 按头像文件名查找角色当前的数组索引
+            const charIndex = findCharacterIndex(entityId);
+            if (charIndex === -1) {
+                throw new Error(`找不到头像为 ${entityId} 的目标角色`);
+            }
+            await selectCharacterById(charIndex, { switchMenu: false });
+        }
+    }, () => isCurrentEntity({ isGroup, entityId }), signal);
+    return true;
+}
+
+// 打开指定的聊天 (必要时先切换角色/群组)，并等待加载完成
+async function openChatTarget(target, signal = null) {
+    const { isGroup, entityId, chatId } = target;
+    const isOpen = () => isCurrentEntity(target) && getCurrentChatId() === chatId;
+
+    if (isGroup) {
+        if (isOpen()) return;
+        await runAndWaitForChatChange(() => select_group_chats(entityId, chatId), isOpen, signal);
+        return;
+    }
+    await switchToEntity(target, signal);
+    if (isOpen()) return;
+    await runAndWaitForChatChange(() => openCharacterChat(chatId), isOpen, signal);
+}
+
+// 删除服务器上的聊天文件 (用于撤销恢复时创建的新聊天)
+async function deleteChatFile({ isGroup, entityId, chatId }) {
+    if (isGroup) {
+        // 同时从群组的聊天列表中移除
+        await deleteGroupChat(entityId, chatId);
+        return;
+    }
+    const character = characters[findCharacterIndex(entityId)];
+    if (!character) throw new Error(`找不到头像为 ${entityId} 的角色信息`);
+
+    const response = await fetch('/api/chats/delete', {
+        method: 'POST',
+        headers: getRequestHeaders(),
+        body: JSON.stringify({ chatfile: `${chatId}.jsonl`, avatar_url: character.avatar }),
+    });
+    if (!response.ok) {
+        throw new Error(`删除聊天文件失败! 状态: ${response.status}`);
+    }
+}
+
+/**
+ * 恢复失败或被取消后，询问用户是否撤销已经完成的修改:
+ * 删除新创建的聊天文件 / 把被覆盖的原文件写回覆盖前的内容，并返回恢复前打开的聊天
+ * @param {object} state
+ * @param {Error} state.error 失败原因
+ * @param {string|null} state.failedStep 失败的步骤
+ * @param {boolean} state.cancelled 是否由用户取消
+ * @param {object|null} state.createdChat 新创建的聊天 ({ isGroup, entityId, chatId })
+ * @param {object|null} state.overwritten 被原位覆盖的聊天 ({ target, snapshot })
+ * @param {object|null} state.previousChat 恢复前打开的聊天
+ */
+async function offerRestoreRollback({ error, failedStep, cancelled, createdChat, overwritten, previousChat }) {
+    const returnNeeded = previousChat && !(isCurrentEntity(previousChat) && getCurrentChatId() === previousChat.chatId);
+    const actions = [];
+    if (createdChat) actions.push(`删除已创建的聊天文件「${createdChat.chatId}」`);
+    if (overwritten?.snapshot) actions.push(`将「${overwritten.target.chatId}」恢复为覆盖前的内容`);
+    if (returnNeeded) actions.push(`返回恢复前的聊天「${previousChat.chatId}」`);
+
+    const reason = cancelled
+        ? '恢复已取消'
+        : `${failedStep ? `「${getRestoreStepLabel(failedStep)}」步骤` : '恢复'}失败: ${error.message || error}`;
+    if (actions.length === 0) {
+        cancelled ? toastr.warning(reason, pluginId) : toastr.error(reason, pluginId);
+        return;
+    }
+
+    const content = document.createElement('div');
+    content.innerHTML = `<p></p><p>是否回滚？回滚将会:</p><ul></ul>`;
+    content.querySelector('p').textContent = reason;
+    const list = content.querySelector('ul');
+    actions.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    if (overwritten && !overwritten.snapshot) {
+        const note = document.createElement('p');
+        note.textContent = `原文件「${overwritten.target.chatId}」覆盖前无法读取，无法恢复其内容。`;
+        content.appendChild(note);
+    }
+
+    const choice = await callGenericPopup(content, POPUP_TYPE.CONFIRM, null, { okButton: '回滚', cancelButton: '保持现状' });
+    if (choice !== POPUP_RESULT.AFFIRMATIVE) {
+        toastr.warning(reason, pluginId);
+        return;
+    }
+
+    const problems = [];
+    // 先离开恢复出的聊天，避免 SillyTavern 切换时把内存中的内容保存回被回滚的文件
+    if (returnNeeded) {
+        try {
+            await openChatTarget(previousChat);
+        } catch (returnError) {
+            console.error(`[${pluginId}] 回滚: 返回之前的聊天失败:`, returnError);
+            problems.push(`返回之前的聊天失败: ${returnError.message || returnError}`);
+        }
+    }
+    if (createdChat) {
+        const stillOpen = isCurrentEntity(createdChat) && getCurrentChatId() === createdChat.chatId;
+        if (stillOpen && !createdChat.isGroup) {
+            problems.push(`聊天「${createdChat.chatId}」仍处于打开状态，未删除`);
+        } else {
+            try {
+                await deleteChatFile(createdChat);
+                logDebug(`回滚: 已删除恢复时创建的聊天 ${createdChat.chatId}`);
+            } catch (deleteError) {
+                console.error(`[${pluginId}] 回滚: 删除聊天文件失败:`, deleteError);
+                problems.push(`删除聊天文件失败: ${deleteError.message || deleteError}`);
+            }
+        }
+    }
+    if (overwritten?.snapshot) {
+        try {
+            await writeChatFile(overwritten.target, overwritten.snapshot.rawChatData);
+            if (isCurrentEntity(overwritten.target) && getCurrentChatId() === overwritten.target.chatId) {
+                await reloadCurrentChat();
+            }
+            logDebug(`回滚: 已将 ${overwritten.target.chatId} 写回覆盖前的内容`);
+        } catch (writeError) {
+            console.error(`[${pluginId}] 回滚: 写回原文件失败:`, writeError);
+            problems.push(`写回原文件失败: ${writeError.message || writeError} (覆盖前的内容已保存为备份)`);
+        }
+    }
+
+    if (problems.length > 0) {
+        toastr.error(`回滚未完全成功: ${problems.join('；')}`, pluginId);
+    } else {
+        toastr.info('已回滚恢复操作', pluginId);
+    }
+    await updateBackupsList();
+}
+
+// restoreBackup 函数直接接收从 IndexedDB 获取的备份对象
+// mode: 'new' 恢复为新的聊天文件；'inplace' 覆盖备份对应的原聊天文件
+async function restoreBackup(backupData, { mode = 'new' } = {}) {
+    logDebug('开始恢复备份:', { chatKey: backupData?.chatKey, timestamp: backupData?.timestamp, mode });
+
+    if (!backupData || (!backupData.rawChatData && !backupData.groupMetadata)) {
+        console.error(`[${pluginId}] 备份数据无效或不完整`, backupData);
+        toastr.error('备份数据无效或不完整');
+        return false;
+    }
+
+    const inPlace = mode === 'inplace';
+    const originalChatId = inPlace ? getBackupChatId(backupData) : null;
+    if (inPlace && !originalChatId) {
+        toastr.error('无法确定此备份对应的原聊天文件，不能原位恢复', pluginId);
+        return false;
+    }
+
+    const confirmSave = await callGenericPopup(
+        inPlace
+            ? `您确定要用此备份覆盖原聊天文件「${originalChatId}」吗？覆盖前会自动备份该文件的当前内容。当前聊天中未保存的修改将会丢失。`
+            : '您确定要恢复备份吗？当前聊天中未保存的修改将会丢失。',
+        POPUP_TYPE.CONFIRM,
+        null,
+        {
+            okButton: '恢复并保存当前',
+            cancelButton: '取消',
+            customButtons: [{ text: '恢复不保存', result: 2 }],
+            defaultResult: POPUP_RESULT.AFFIRMATIVE
+        }
+    );
+
+    if (confirmSave === POPUP_RESULT.CANCELLED) {
+        logDebug('用户取消恢复操作');
+        return false;
+    }
+
+    if (confirmSave === POPUP_RESULT.AFFIRMATIVE) {
+        logDebug('用户选择保存当前聊天');
+        await saveChatConditional(); // 使用条件保存
+    } else if (confirmSave === 2) {
+        logDebug('用户选择不保存当前聊天');
+    } else {
+         console.warn(`[${pluginId}] 收到未知的确认结果: ${confirmSave}`);
+         return false;
+    }
+
+    // 原位恢复会单独备份被覆盖的文件
+    if (!inPlace) {
+        await takeSafetySnapshot('pre-restore');
+    }
+
+    // 记录恢复前的状态，失败时用于回滚
+    const previousChat = getCurrentChatTarget();
+    let createdChat = null;
+    let overwritten = null;
+
+    const progress = createRestoreProgress(inPlace ? `原位恢复到「${originalChatId}」` : `恢复备份: ${backupData.entityName || '未知'}`);
+    try {
+        const { entityId, isGroup, rawChatData, groupMetadata } = backupData;
+        const targetEntityId = entityId; // 恢复到备份时对应的实体ID (群组ID或角色头像文件名)
+
+        // 1. 切换到目标实体 (如果当前不是)，等待 SillyTavern 加载完成
+        progress.start('switch');
+        if (await switchToEntity({ isGroup, entityId: targetEntityId }, progress.signal)) {
+            logDebug(`步骤 1: 已切换到${isGroup ? '群组' : '角色'} ${targetEntityId}`);
+            progress.done('switch');
+        } else {
+            logDebug('步骤 1: 当前已在目标上下文，跳过切换');
+            progress.skip('switch');
+        }
+        progress.checkCancelled();
+
+        // 2. 将备份数据构造成标准 .jsonl 格式字符串
+        progress.start('build');
+        logDebug('步骤 2: 将备份数据构造成 .jsonl 格式字符串...');
+        let jsonlString = '';
+        let metadataToImport = {};
+        let messagesToImport = [];
+
+        if (isGroup) {
+             // 群组备份：元数据和消息分开存储
+            metadataToImport = groupMetadata || {};
+            messagesToImport = rawChatData || []; // rawChatData 是消息数组
+            jsonlString += JSON.stringify(metadataToImport) + '\n';
+            messagesToImport.forEach(msg => {
+                jsonlString += JSON.stringify(msg) + '\n';
+            });
+        } else {
+            // 角色备份：rawChatData 是 [metadata, messages...] 数组
+            if (Array.isArray(rawChatData) && rawChatData.length > 0) {
+                 metadataToImport = rawChatData[0]?.chat_metadata || {};
+                 messagesToImport = rawChatData.slice(1) || [];
+                 jsonlString += JSON.stringify({ chat_metadata: metadataToImport }) + '\n'; // 确保顶层是 { chat_metadata: {...} }
+                 messagesToImport.forEach(msg => {
+                     jsonlString += JSON.stringify(msg) + '\n';
+                 });
+            } else {
+                 throw new Error("角色备份数据结构异常，无法构建 .jsonl");
+            }
+        }
+        logDebug(`步骤 2: .jsonl 字符串构建完成 (${messagesToImport.length} 条消息)`);
+        progress.done('build');
+        progress.checkCancelled();
+
+        // 3-4. 保存聊天文件
+        progress.start('save');
+        let restoredChatId = null; // 恢复后要加载的聊天ID
+        if (inPlace) {
+            // 原位: 先备份原聊天文件的当前内容，再用备份覆盖它
+            logDebug(`步骤 3-4 (原位): 覆盖原聊天文件 ${originalChatId}`);
+            const target = { isGroup, entityId: targetEntityId, chatId: originalChatId };
+            const result = await overwriteChatFileInPlace(backupData, originalChatId);
+            if (!result) {
+                logDebug('用户取消原位恢复');
+                await progress.close();
+                return false;
+            }
+            overwritten = { target, snapshot: result.snapshot };
+            restoredChatId = originalChatId;
+        } else {
+            restoredChatId = await saveBackupAsNewChatFile(backupData, targetEntityId, jsonlString, metadataToImport, messagesToImport);
+            if (!restoredChatId) {
+                throw new Error('未能获取新创建/导入聊天的ID');
+            }
+            createdChat = { isGroup, entityId: targetEntityId, chatId: restoredChatId };
+        }
+        progress.done('save');
+        progress.checkCancelled();
+
+        // 5. 加载恢复的聊天，等待 CHAT_CHANGED
+        progress.start('load', restoredChatId);
+        logDebug('步骤 5: 加载恢复的聊天...');
+        const restoredTarget = { isGroup, entityId: targetEntityId, chatId: restoredChatId };
+        if (inPlace && getCurrentChatKey() === backupData.chatKey) {
+            // 原位恢复且原聊天正处于打开状态: 从服务器重新读取
+            await runAndWaitForChatChange(() => reloadCurrentChat(), () => getCurrentChatId() === restoredChatId, progress.signal);
+        } else {
+            await openChatTarget(restoredTarget, progress.signal);
+        }
+        logDebug('步骤 5: 恢复的聊天加载完成');
+        progress.done('load');
+
+        // 6. 校验加载后的消息数量与备份一致
+        progress.start('verify');
+        const loadedCount = getContext().chat?.length ?? 0;
+        if (getCurrentChatId() !== restoredChatId) {
+            throw new Error(`当前打开的聊天 (${getCurrentChatId()}) 不是恢复的聊天 (${restoredChatId})`);
+        }
+        // 空聊天加载时 SillyTavern 会自动插入角色的开场白
+        const greetingAdded = messagesToImport.length === 0 && loadedCount === 1;
+        if (loadedCount !== messagesToImport.length && !greetingAdded) {
+            throw new Error(`消息数量不一致: 备份中有 ${messagesToImport.length} 条，加载后为 ${loadedCount} 条`);
+        }
+        progress.done('verify');
+        await progress.close();
+
+        // --- 结束 ---
+        logDebug('恢复流程完成');
+        toastr.success('聊天备份已成功恢复！', pluginId);
+        // 刷新备份列表UI，可能新文件会出现在列表中
+        updateBackupsList();
+        // 关闭弹窗
+        if (backupManagerPopup) {
+            backupManagerPopup.dlg.close();
+        }
+        // 备份包含角色卡、世界书等相关状态时，提示与当前版本的差异并询问是否一起恢复
+        if (backupData.contextState) {
+            await offerContextStateRestore(backupData);
+        }
+        return true;
+
+    } catch (error) {
+        console.error(`[${pluginId}] 恢复聊天失败 (步骤: ${progress.currentStep ?? '未知'}):`, error);
+        const failedStep = progress.currentStep;
+        progress.fail(error.message || '未知错误');
+        await progress.close();
+        await offerRestoreRollback({ error, failedStep, cancelled: progress.signal.aborted, createdChat, overwritten, previousChat });
+        return false;
+    }
+}
+
+
+// --- 部分恢复 (将选中的消息恢复到当前聊天) ---
+// 消息的单行摘要，用于选择列表和确认提示
+function summarizeMessage(message, length = 80) {
+    const text = String(message?.mes ?? '').replace(/\s+/g, ' ').trim();
+    return text.length > length ? `${text.substring(0, length)}…` : (text || '(空消息)');
+}
+
+/**
+ * 根据差异将备份中的每条消息映射到当前聊天中的位置
+ * 仍在当前聊天中的消息 (相同、修改或切换了 swipe) 对应 target；已删除的消息只有插入位置 insertAt (插入到当前聊天该索引之前)
+ * @param {object[]} backupMessages
+ * @param {object[]} currentChat
+ * @returns {Map<number, {type: string, target?: number, insertAt: number}>} 备份消息索引 -> 位置
+ */
+function mapBackupMessagesToChat(backupMessages, currentChat) {
+    const mapping = new Map();
+    let nextLiveIndex = 0;
+    computeMessageDiff(backupMessages, currentChat).forEach(op => {
+        if (op.type === 'added') {
+            nextLiveIndex = op.newIndex + 1;
+        } else if (op.type === 'removed') {
+            mapping.set(op.oldIndex, { type: op.type, insertAt: nextLiveIndex });
+        } else {
+            mapping.set(op.oldIndex, { type: op.type, target: op.newIndex, insertAt: op.newIndex });
+            nextLiveIndex = op.newIndex + 1;
+        }
+    });
+    return mapping;
+}
+
+// 部分恢复的方式；mapping 为 null (备份不属于当前聊天) 时只能追加
+const PARTIAL_RESTORE_MODES = {
+    auto: '修改过的消息替换当前聊天中对应的消息，已删除的消息插回原来的位置',
+    insert: '全部作为新消息插入到对应的位置，不替换现有消息',
+    append: '追加到当前聊天的末尾',
+};
+
+/**
+ * 让用户选择要恢复的消息和恢复方式
+ * 如果当前打开的就是备份所属的聊天，默认勾选当前聊天中已被删除或修改的消息
+ * @param {object} backup 完整的备份对象
+ * @param {Map|null} mapping mapBackupMessagesToChat 的结果；备份不属于当前聊天时为 null
+ * @returns {Promise<{indices: number[], mode: 'auto'|'insert'|'append'}|null>}
+ */
+async function selectMessagesForPartialRestore(backup, mapping) {
+    const { messages } = extractChatContent(backup);
+    const preselected = new Set();
+    mapping?.forEach((position, index) => {
+        if (position.type !== 'equal') preselected.add(index);
+    });
+    const modes = mapping ? ['auto', 'insert'] : ['append'];
+
+    const container = document.createElement('div');
+    container.className = 'backup_partial_restore';
+    container.innerHTML = `
+        <h3>选择要恢复到当前聊天的消息</h3>
+        ${mapping ? '' : '<p class="backup_warning">此备份不属于当前打开的聊天，选中的消息将追加到聊天末尾。</p>'}
+        <div class="backup_partial_options">
+            ${modes.map((mode, index) => `<label class="checkbox_label"><input type="radio" name="backup_partial_mode" value="${mode}" ${index === 0 ? 'checked' : ''}><span>${PARTIAL_RESTORE_MODES[mode]}</span></label>`).join('')}
+        </div>
+        <div class="backup_partial_options">
+            <span>范围: #</span>
+            <input type="number" class="text_pole backup_partial_from" min="0" max="${messages.length - 1}" value="${Math.max(0, messages.length - 5)}">
+            <span>到 #</span>
+            <input type="number" class="text_pole backup_partial_to" min="0" max="${messages.length - 1}" value="${messages.length - 1}">
+            <button class="menu_button backup_partial_select_range">选择范围</button>
+            <button class="menu_button backup_partial_select_none">清空选择</button>
+        </div>
+        <div class="backup_partial_status"></div>
+        <div class="backup_partial_list"></div>`;
+    const list = container.querySelector('.backup_partial_list');
+    messages.forEach((message, index) => {
+        const row = document.createElement('label');
+        row.className = 'backup_partial_row checkbox_label';
+        row.innerHTML = `<input type="checkbox" value="${index}"><span class="backup_partial_index">#${index}</span><span class="backup_partial_sender"></span><span class="backup_partial_text"></span>`;
+        row.querySelector('input').checked = preselected.has(index);
+        row.querySelector('.backup_partial_sender').textContent = message.name || '未知';
+        row.querySelector('.backup_partial_text').textContent = summarizeMessage(message);
+        list.appendChild(row);
+    });
+
+    const checkboxes = [...list.querySelectorAll('input[type="checkbox"]')];
+    const updateStatus = () => {
+        const count = checkboxes.filter(box => box.checked).length;
+        container.querySelector('.backup_partial_status').textContent = preselected.size
+            ? `已选择 ${count} 条 (默认选中了当前聊天中已删除或修改的 ${preselected.size} 条)`
+            : `已选择 ${count} 条`;
+    };
+    list.addEventListener('change', updateStatus);
+    container.querySelector('.backup_partial_select_range').addEventListener('click', () => {
+        const from = parseInt(container.querySelector('.backup_partial_from').value, 10);
+        const to = parseInt(container.querySelector('.backup_partial_to').value, 10);
+        if (isNaN(from) || isNaN(to)) return;
+        checkboxes.forEach((box, index) => {
+            box.checked = index >= Math.min(from, to) && index <= Math.max(from, to);
+        });
+        updateStatus();
+    });
+    container.querySelector('.backup_partial_select_none').addEventListener('click', () => {
+        checkboxes.forEach(box => { box.checked = false; });
+        updateStatus();
+    });
+    updateStatus();
+
+    // 滚动到第一条默认选中的消息
+    setTimeout(() => list.querySelector('input:checked')?.closest('label').scrollIntoView({ block: 'center' }), 0);
+
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+        okButton: '下一步',
+        cancelButton: '取消',
+    });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+    const indices = checkboxes.filter(box => box.checked).map(box => Number(box.value));
+    const mode = container.querySelector('input[name="backup_partial_mode"]:checked').value;
+    return { indices, mode };
+}
+
+/**
+ * 计算部分恢复后的聊天内容，位置均按 mapping (当前聊天中的索引) 计算，不使用备份中的索引
+ * auto: 修改过的消息替换 target 处的消息，与当前内容相同的跳过，已删除的插入到 insertAt
+ * insert: 全部插入到 insertAt (仍在当前聊天中的消息插入到对应消息之前)
+ * append: 全部追加到末尾
+ * @returns {{chat: object[], replaced: number, inserted: number, appended: number, unchanged: number}}
+ */
+function buildPartialRestoreResult(currentChat, backupMessages, indices, mode, mapping) {
+    const chat = [...currentChat];
+    const result = { replaced: 0, inserted: 0, appended: 0, unchanged: 0 };
+    const insertions = new Map(); // insertAt -> 按备份顺序插入的消息
+
+    [...indices].sort((a, b) => a - b).forEach(index => {
+        const message = structuredClone(backupMessages[index]);
+        const position = mapping?.get(index);
+        if (mode === 'append' || !position) {
+            chat.push(message);
+            result.appended++;
+        } else if (mode === 'auto' && position.type === 'equal') {
+            result.unchanged++;
+        } else if (mode === 'auto' && position.target !== undefined) {
+            chat[position.target] = message;
+            result.replaced++;
+        } else {
+            if (!insertions.has(position.insertAt)) insertions.set(position.insertAt, []);
+            insertions.get(position.insertAt).push(message);
+            result.inserted++;
+        }
+    });
+
+    // 替换不改变长度；插入从后往前进行，前面的插入位置不受影响
+    [...insertions.entries()]
+        .sort((a, b) => b[0] - a[0])
+        .forEach(([insertAt, messages]) => chat.splice(insertAt, 0, ...messages));
+    return { chat, ...result };
+}
+
+// 将备份中选中的消息恢复到当前打开的聊天，并通过 saveChatConditional 保存
+async function partialRestoreBackup(chatKey, timestamp) {
+    const currentChatKey = getCurrentChatKey();
+    if (!currentChatKey) {
+        toastr.warning('请先打开要恢复消息的聊天', pluginId);
+        return false;
+    }
+
+    const backup = await getBackupFromDB(chatKey, timestamp);
+    if (!backup) {
+        toastr.error('找不到指定的备份进行恢复');
+        return false;
+    }
+
+    const context = getContext();
+    const { messages } = extractChatContent(backup);
+    // 只有同一个聊天才能按差异对应消息的位置
+    const mapping = currentChatKey === chatKey ? mapBackupMessagesToChat(messages, context.chat || []) : null;
+    const chatLengthBefore = context.chat.length;
+
+    const selection = await selectMessagesForPartialRestore(backup, mapping);
+    if (!selection) {
+        logDebug('用户取消部分恢复');
+        return false;
+    }
+    if (selection.indices.length === 0) {
+        toastr.info('没有选择任何消息', pluginId);
+        return false;
+    }
+
+    const { chat, replaced, inserted, appended, unchanged } = buildPartialRestoreResult(context.chat, messages, selection.indices, selection.mode, mapping);
+
+    // 确认步骤: 汇总将要发生的变化
+    const summary = document.createElement('div');
+    summary.innerHTML = `
+        <h3>确认部分恢复</h3>
+        ${currentChatKey !== chatKey ? '<p class="backup_warning">注意: 此备份不属于当前打开的聊天。</p>' : ''}
+        <p>替换 ${replaced} 条，插入 ${inserted} 条，追加 ${appended} 条${unchanged ? `，${unchanged} 条与当前内容相同，跳过` : ''}。当前聊天消息数: ${context.chat.length} → ${chat.length}</p>
+        <ul class="backup_partial_summary"></ul>`;
+    const summaryList = summary.querySelector('.backup_partial_summary');
+    selection.indices.slice(0, 10).forEach(index => {
+        const item = document.createElement('li');
+        item.textContent = `#${index} ${messages[index].name || '未知'}: ${summarizeMessage(messages[index], 60)}`;
+        summaryList.appendChild(item);
+    });
+    if (selection.indices.length > 10) {
+        const more = document.createElement('li');
+        more.textContent = `… 以及其他 ${selection.indices.length - 10} 条`;
+        summaryList.appendChild(more);
+    }
+
+    const confirmed = await callGenericPopup(summary, POPUP_TYPE.CONFIRM, '', { okButton: '恢复', cancelButton: '取消' });
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) {
+        logDebug('用户在确认步骤取消部分恢复');
+        return false;
+    }
+
+    // 恢复前确认聊天没有在此期间被切换或改变 (消息位置是按打开对话框时的聊天计算的)
+    if (getCurrentChatKey() !== currentChatKey) {
+        toastr.error('当前聊天已切换，部分恢复已取消', pluginId);
+        return false;
+    }
+    if (context.chat.length !== chatLengthBefore) {
+        toastr.error('当前聊天在此期间发生了变化，请重新选择要恢复的消息', pluginId);
+        return false;
+    }
+
+    await takeSafetySnapshot('pre-partial-restore');
+
+    try {
+        // 原地修改聊天数组，保持 SillyTavern 持有的引用不变
+        context.chat.splice(0, context.chat.length, ...chat);
+        await saveChatConditional();
+        await reloadCurrentChat();
+        logDebug(`部分恢复完成: 替换 ${replaced}，插入 ${inserted}，追加 ${appended}，跳过 ${unchanged}`);
+        toastr.success(`已恢复 ${selection.indices.length} 条消息到当前聊天`, pluginId);
+        return true;
+    } catch (error) {
+        console.error(`[${pluginId}] 部分恢复失败:`, error);
+        toastr.error(`部分恢复失败: ${error.message || error}`, pluginId);
+        return false;
+    }
+}
+
+
+// --- 备份列表的范围、筛选、排序与分组 ---
+// 列表筛选条件 (设置面板和备份管理弹窗共用，只在本次页面会话内有效)
+const DEFAULT_LIST_FILTERS = {
+    showAll: false,      // false 时只显示当前角色/群组的备份
+    sort: 'newest',
+    pinned: 'any',       // 'any' | 'pinned' | 'unpinned'
+    dateFrom: '',        // YYYY-MM-DD
+    dateTo: '',
+    minMessages: null,
+    maxMessages: null,
+};
+let backupListFilters = { ...DEFAULT_LIST_FILTERS };
+// 已折叠的分组 (entity:... / chat:...)
+const collapsedBackupGroups = new Set();
+
+const BACKUP_SORTERS = {
+    newest: (a, b) => b.timestamp - a.timestamp,
+    oldest: (a, b) => a.timestamp - b.timestamp,
+    messages_desc: (a, b) => (b.lastMessageId - a.lastMessageId) || (b.timestamp - a.timestamp),
+    messages_asc: (a, b) => (a.lastMessageId - b.lastMessageId) || (b.timestamp - a.timestamp),
+    size_desc: (a, b) => (getBackupStorageSize(b) - getBackupStorageSize(a)) || (b.timestamp - a.timestamp),
+    name: (a, b) => (a.entityName || '').localeCompare(b.entityName || '')
+        || (a.chatName || '').localeCompare(b.chatName || '')
+        || (b.timestamp - a.timestamp),
+};
+
+// 从筛选栏读取筛选条件
+function readListFilters($bar) {
+    const toCount = (value) => value === '' || value === undefined ? null : Math.max(0, Number(value));
+    return {
+        showAll: $bar.find('.backup_filter_all').prop('checked'),
+        sort: String($bar.find('.backup_filter_sort').val() || DEFAULT_LIST_FILTERS.sort),
+        pinned: String($bar.find('.backup_filter_pinned').val() || DEFAULT_LIST_FILTERS.pinned),
+        dateFrom: String($bar.find('.backup_filter_from').val() || ''),
+        dateTo: String($bar.find('.backup_filter_to').val() || ''),
+        minMessages: toCount($bar.find('.backup_filter_min_messages').val()),
+        maxMessages: toCount($bar.find('.backup_filter_max_messages').val()),
+    };
+}
+
+// 将当前筛选条件同步到所有筛选栏
+function syncListFilterControls() {
+    const $bars = $('.backup_list_filters');
+    $bars.find('.backup_filter_all').prop('checked', backupListFilters.showAll);
+    $bars.find('.backup_filter_sort').val(backupListFilters.sort);
+    $bars.find('.backup_filter_pinned').val(backupListFilters.pinned);
+    $bars.find('.backup_filter_from').val(backupListFilters.dateFrom);
+    $bars.find('.backup_filter_to').val(backupListFilters.dateTo);
+    $bars.find('.backup_filter_min_messages').val(backupListFilters.minMessages ?? '');
+    $bars.find('.backup_filter_max_messages').val(backupListFilters.maxMessages ?? '');
+}
+
+/**
+ * 按范围和筛选条件过滤并排序备份
+ * @param {object[]} metas 备份元数据
+ * @param {object} filters 筛选条件
+ * @param {{isGroup: boolean, entityId: string|null}} currentEntity 当前角色/群组；entityId 为 null 时显示全部
+ */
+function filterAndSortBackups(metas, filters, currentEntity) {
+    const from = filters.dateFrom ? new Date(`${filters.dateFrom}T00:00:00`).getTime() : -Infinity;
+    const to = filters.dateTo ? new Date(`${filters.dateTo}T23:59:59.999`).getTime() : Infinity;
+    const entityKey = currentEntity.entityId ? getEntityKey(currentEntity) : null;
+
+    return metas
+        .filter(meta => {
+            if (!filters.showAll && entityKey && getEntityKey(meta) !== entityKey) return false;
+            if (filters.pinned === 'pinned' && !meta.pinned) return false;
+            if (filters.pinned === 'unpinned' && meta.pinned) return false;
+            if (meta.timestamp < from || meta.timestamp > to) return false;
+            const count = meta.lastMessageId + 1;
+            if (filters.minMessages !== null && count < filters.minMessages) return false;
+            if (filters.maxMessages !== null && count > filters.maxMessages) return false;
+            return true;
+        })
+        .sort(BACKUP_SORTERS[filters.sort] || BACKUP_SORTERS.newest);
+}
+
+/**
+ * 将已排序的备份按角色/群组、再按聊天文件分组；分组的顺序取决于其中排在最前的备份
+ * @returns {{key: string, name: string, chats: {key: string, name: string, backups: object[]}[]}[]}
+ */
+function groupBackups(sortedBackups) {
+    const entities = new Map();
+    sortedBackups.forEach(backup => {
+        const entityKey = getEntityKey(backup);
+        if (!entities.has(entityKey)) {
+            entities.set(entityKey, { key: entityKey, name: backup.entityName || '未知实体', isGroup: !!backup.isGroup, chats: new Map() });
+        }
+        const chats = entities.get(entityKey).chats;
+        if (!chats.has(backup.chatKey)) {
+            chats.set(backup.chatKey, { key: backup.chatKey, name: backup.chatName || '未知聊天', backups: [] });
+        }
+        chats.get(backup.chatKey).backups.push(backup);
+    });
+    return [...entities.values()].map(entity => ({ ...entity, chats: [...entity.chats.values()] }));
+}
+
+// 可折叠的分组，返回分组元素和放置内容的容器
+function createBackupGroup(groupKey, title, count, level) {
+    const $group = $(`
+        <div class="backup_group backup_group_${level}">
+            <div class="backup_group_header" title="展开/折叠">
+                <i class="fa-solid fa-chevron-down"></i>
+                <input type="checkbox" class="backup_group_select" title="选择此分组中的所有备份">
+                <span class="backup_group_title"></span>
+                <span class="backup_group_count">${count} 个备份</span>
+            </div>
+            <div class="backup_group_body"></div>
+        </div>
+    `);
+    $group.attr('data-group', groupKey);
+    $group.find('.backup_group_title').text(title);
+    $group.toggleClass('backup_group_collapsed', collapsedBackupGroups.has(groupKey));
+    return { $group, $body: $group.find('.backup_group_body') };
+}
+
+// 渲染单个备份条目
+function renderBackupItem(backup) {
+    const date = new Date(backup.timestamp);
+    const formattedDate = date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    // 名称、预览等可能来自导入的归档或其他设备，一律转义
+    const key = escapeHtml(backup.chatKey);
+
+    const labelHtml = backup.pinned || backup.label || backup.note ? `
+                <div class="backup_label">
+                    ${backup.pinned ? '<i class="fa-solid fa-thumbtack" title="已固定，不会被自动清理"></i>' : ''}
+                    <span class="backup_label_name">${escapeHtml(backup.label || '')}</span>
+                    ${backup.note ? `<span class="backup_label_note" title="${escapeHtml(backup.note)}">${escapeHtml(backup.note)}</span>` : ''}
+                </div>` : '';
+
+    return $(`
+        <div class="backup_item${backup.pinned ? ' backup_pinned' : ''}">
+            <input type="checkbox" class="backup_select" title="选择此备份" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">
+            <div class="backup_info">${labelHtml}
+                <div class="backup_header">
+                    <span class="backup_entity" title="${escapeHtml(backup.entityName || '')}">${escapeHtml(backup.entityName || '未知实体')}</span>
+                    <span class="backup_chat" title="${escapeHtml(backup.chatName || '')}">${escapeHtml(backup.chatName || '未知聊天')}</span>
+                    ${backup.trigger ? `<span class="backup_tag">${escapeHtml(BACKUP_TRIGGER_LABELS[backup.trigger] || backup.trigger)}</span>` : ''}
+                    ${backup.changeType ? `<span class="backup_tag backup_change_tag">${escapeHtml(CHANGE_TYPE_LABELS[backup.changeType] || backup.changeType)}</span>` : ''}
+                    ${backup.hasContextState ? '<span class="backup_tag" title="此备份包含角色卡、世界书、用户角色或群组成员，恢复时可一起恢复">含角色卡/世界书</span>' : ''}
+                </div>
+                 <div class="backup_details">
+                    <span class="backup_mesid">消息数: ${Number(backup.lastMessageId) + 1}</span>
+                    <span class="backup_date">${formattedDate}</span>
+                    ${backup.size ? `<span class="backup_size">${formatBytes(getBackupStorageSize(backup))}</span>` : ''}
+                </div>
+                <div class="backup_preview" title="${escapeHtml(backup.lastMessagePreview || '')}">${escapeHtml(backup.lastMessagePreview || '')}...</div>
+            </div>
+            <div class="backup_actions">
+                <button class="menu_button backup_preview_btn" title="浏览此备份的完整聊天内容" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">预览</button>
+                <button class="menu_button backup_diff_btn" title="与同一聊天的其他备份或当前聊天对比差异" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">对比</button>
+                <button class="menu_button backup_restore" title="恢复此备份到新聊天" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">恢复</button>
+                <button class="menu_button backup_restore_inplace" title="覆盖此备份对应的原聊天文件 (覆盖前会自动备份原文件)" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">原位恢复</button>
+                <button class="menu_button backup_partial_restore" title="选择此备份中的部分消息恢复到当前聊天" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">部分恢复</button>
+                <button class="menu_button backup_pin_toggle" title="${backup.pinned ? '取消固定，之后可能被自动清理' : '固定此备份，自动清理不会删除它'}" data-timestamp="${Number(backup.timestamp)}" data-key="${key}" data-pinned="${backup.pinned ? 'true' : 'false'}">${backup.pinned ? '取消固定' : '固定'}</button>
+                <button class="menu_button backup_edit_label" title="修改名称和备注" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">名称/备注</button>
+                <button class="menu_button backup_export" title="导出此备份为归档文件" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">导出</button>
+                <button class="menu_button danger_button backup_delete" title="删除此备份" data-timestamp="${Number(backup.timestamp)}" data-key="${key}">删除</button>
+            </div>
+        </div>
+    `);
+}
+
+// 渲染仅在同步目标中的备份条目: 恢复或下载时先保存到本地
+function renderRemoteBackupItem(backup) {
+    const date = new Date(backup.timestamp);
+    const formattedDate = date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    const $item = $(`
+        <div class="backup_item backup_remote">
+            <div class="backup_info">
+                <div class="backup_header">
+                    <span class="backup_entity"></span>
+                    <span class="backup_chat"></span>
+                    <span class="backup_tag backup_remote_tag" title="此备份只保存在服务器上 (来自其他设备或已在本机删除)"><i class="fa-solid fa-cloud"></i> 服务器</span>
+                    ${backup.locked ? '<span class="backup_tag" title="此备份使用其他口令加密，无法在本机解密">无法解密</span>' : ''}
+                </div>
+                <div class="backup_details">
+                    <span class="backup_mesid">消息数: ${backup.lastMessageId + 1}</span>
+                    <span class="backup_date">${formattedDate}</span>
+                    ${backup.size ? `<span class="backup_size">${formatBytes(getBackupStorageSize(backup))}</span>` : ''}
+                </div>
+                <div class="backup_preview"></div>
+            </div>
+            <div class="backup_actions">
+                <button class="menu_button backup_remote_restore" title="下载此备份并恢复到新聊天">恢复</button>
+                <button class="menu_button backup_remote_pull" title="下载到本机的备份列表">下载</button>
+                <button class="menu_button danger_button backup_remote_delete" title="从服务器删除此备份">从服务器删除</button>
+            </div>
+        </div>
+    `);
+    $item.find('.backup_entity').text(backup.entityName || '未知实体');
+    $item.find('.backup_chat').text(backup.chatName || '未知聊天');
+    $item.find('.backup_preview').text(backup.lastMessagePreview || '');
+    $item.find('.backup_remote_restore, .backup_remote_pull').prop('disabled', !!backup.locked);
+    $item.find('button').attr({ 'data-key': backup.chatKey, 'data-timestamp': backup.timestamp });
+    return $item;
+}
+
+// --- UI 更新 (适应新结构) ---
+async function updateBackupsList() {
+    logDebug('开始更新备份列表UI');
+    // 设置面板和备份管理弹窗中的列表
+    const backupsContainer = $('#chat_backup_list, #chat_backup_popup_list');
+    if (!backupsContainer.length) {
+        console.warn(`[${pluginId}] 找不到备份列表容器元素 #chat_backup_list`);
+        return;
+    }
+
+    backupsContainer.html('<div class="backup_empty_notice">正在加载备份...</div>');
+    syncListFilterControls();
+    updateStorageUsage();
+
+    try {
+        // 列表只读取元数据，聊天内容在预览或恢复时再按需加载
+        const localBackups = await getAllBackupsMeta();
+        // 启用同步时一并列出同步目标中本机没有的备份 (未解锁时无法解密，不读取)
+        const remoteBackups = isBackupStoreLocked() ? [] : await getRemoteOnlyBackups(localBackups);
+        const allBackups = [...localBackups, ...remoteBackups];
+
+        backupsContainer.empty(); // 清空
+
+        if (allBackups.length === 0) {
+            backupsContainer.append('<div class="backup_empty_notice">暂无保存的备份</div>');
+            listedBackupKeys = { visible: [], all: [] };
+            selectedBackups.clear();
+            refreshSelectionUI();
+            return;
+        }
+
+        // 未解锁时名称、预览等元数据不可读，只显示解锁入口
+        if (isBackupStoreLocked()) {
+            backupsContainer.append(`
+                <div class="backup_locked_notice">
+                    <div>备份已加密 (共 ${allBackups.length} 个)。解锁后才能查看、预览、恢复和创建备份。</div>
+                    <button class="menu_button backup_unlock"><i class="fa-solid fa-lock-open"></i> 解锁</button>
+                </div>`);
+            listedBackupKeys = { visible: [], all: [] };
+            selectedBackups.clear();
+            refreshSelectionUI();
+            return;
+        }
+
+        // 未选择角色/群组时总是显示全部备份
+        const currentEntity = getCurrentChatInfo();
+        const showAll = backupListFilters.showAll || !currentEntity.entityId;
+        const visibleBackups = filterAndSortBackups(allBackups, backupListFilters, currentEntity);
+        // 远端备份不参与选择和批量操作
+        listedBackupKeys = {
+            visible: visibleBackups.filter(meta => !meta.remote).map(meta => getSelectionKey(meta.chatKey, meta.timestamp)),
+            all: localBackups.map(meta => getSelectionKey(meta.chatKey, meta.timestamp)),
+        };
+        // 已被删除的备份不再保留选择
+        const existingKeys = new Set(listedBackupKeys.all);
+        [...selectedBackups].filter(key => !existingKeys.has(key)).forEach(key => selectedBackups.delete(key));
+        logDebug(`渲染 ${visibleBackups.length} / ${allBackups.length} 个备份`);
+
+        // 先在独立的容器中完整构建，再放入两个列表 (jQuery 向多个目标追加时会复制节点)
+        const $content = $('<div></div>');
+        const scopeText = showAll ? '所有角色/群组' : `「${currentEntity.entityName}」`;
+        const remoteText = remoteBackups.length > 0 ? `，其中 ${remoteBackups.length} 个仅在服务器上` : '';
+        $('<div class="backup_list_summary"></div>')
+            .text(`${scopeText}: 显示 ${visibleBackups.length} 个备份 (共 ${allBackups.length} 个${remoteText})`)
+            .appendTo($content);
+        if (remoteBackupCache.error) {
+            $('<div class="backup_empty_notice"></div>')
+                .text(`无法读取服务器上的备份: ${remoteBackupCache.error.message || remoteBackupCache.error}`)
+                .appendTo($content);
+        }
+
+        if (visibleBackups.length === 0) {
+            $content.append('<div class="backup_empty_notice">没有符合筛选条件的备份</div>');
+        }
+
+        // 按角色/群组、再按聊天文件分组；只显示当前角色/群组时省略角色/群组这一层
+        groupBackups(visibleBackups).forEach(entity => {
+            let $chatParent = $content;
+            if (showAll) {
+                const count = entity.chats.reduce((sum, chat) => sum + chat.backups.length, 0);
+                const { $group, $body } = createBackupGroup(`entity:${entity.key}`, `${entity.isGroup ? '群组' : '角色'}: ${entity.name}`, count, 'entity');
+                $content.append($group);
+                $chatParent = $body;
+            }
+            entity.chats.forEach(chat => {
+                const { $group, $body } = createBackupGroup(`chat:${chat.key}`, chat.name, chat.backups.length, 'chat');
+                chat.backups.forEach(backup => $body.append(backup.remote ? renderRemoteBackupItem(backup) : renderBackupItem(backup)));
+                $chatParent.append($group);
+            });
+        });
+        backupsContainer.append($content.children());
+        refreshSelectionUI();
+
+        logDebug('备份列表渲染完成');
+    } catch (error) {
+        console.error(`[${pluginId}] 更新备份列表失败:`, error);
+        backupsContainer.html(`<div class="backup_empty_notice">加载备份列表失败: ${error.message}</div>`);
+    }
+}
+
+
+// --- 批量选择与批量操作 ---
+// 已选择的备份 (键为 getSelectionKey 的结果)，在列表重新渲染后保留
+const selectedBackups = new Set();
+// 最近一次渲染列表时的备份键: visible 为符合当前范围和筛选条件的备份，all 为全部备份
+let listedBackupKeys = { visible: [], all: [] };
+let isBatchActionRunning = false;
+
+function getSelectionKey(chatKey, timestamp) {
+    return JSON.stringify([chatKey, Number(timestamp)]);
+}
+
+// 根据选择状态更新复选框、分组复选框、计数和批量操作按钮
+function refreshSelectionUI() {
+    $('.backup_select').each(function() {
+        this.checked = selectedBackups.has(getSelectionKey(this.dataset.key, this.dataset.timestamp));
+    });
+    $('.backup_group').each(function() {
+        const boxes = $(this).find('.backup_select').get();
+        const checkedCount = boxes.filter(box => box.checked).length;
+        const groupBox = $(this).children('.backup_group_header').find('.backup_group_select').get(0);
+        if (!groupBox) return;
+        groupBox.checked = boxes.length > 0 && checkedCount === boxes.length;
+        groupBox.indeterminate = checkedCount > 0 && checkedCount < boxes.length;
+    });
+    $('.backup_item').each(function() {
+        $(this).toggleClass('backup_selected', $(this).find('.backup_select').prop('checked'));
+    });
+    $('.backup_selection_count').text(selectedBackups.size > 0 ? `已选择 ${selectedBackups.size} 个备份` : '未选择备份');
+    $('.backup_selection_bar .backup_batch_action').prop('disabled', selectedBackups.size === 0 || isBatchActionRunning);
+}
+
+// 修改一组备份的选择状态
+function setBackupsSelected(keys, selected) {
+    keys.forEach(key => selected ? selectedBackups.add(key) : selectedBackups.delete(key));
+    refreshSelectionUI();
+}
+
+// 读取已选择备份的元数据 (已不存在的备份会从选择中移除)
+async function getSelectedBackupMetas() {
+    const metas = await getAllBackupsMeta();
+    const selected = metas.filter(meta => selectedBackups.has(getSelectionKey(meta.chatKey, meta.timestamp)));
+    selectedBackups.clear();
+    selected.forEach(meta => selectedBackups.add(getSelectionKey(meta.chatKey, meta.timestamp)));
+    return selected;
+}
+
+// 所选备份的概要，用于确认提示
+function describeBackupSelection(metas) {
+    const chats = new Set(metas.map(meta => meta.chatKey)).size;
+    const entities = new Set(metas.map(getEntityKey)).size;
+    const size = metas.reduce((sum, meta) => sum + getBackupStorageSize(meta), 0);
+    return `${metas.length} 个备份 (${entities} 个角色/群组的 ${chats} 个聊天${size ? `，共 ${formatBytes(size)}` : ''})`;
+}
+
+// 逐条执行的批量操作
+const BATCH_ACTIONS = {
+    delete: {
+        title: '批量删除',
+        okButton: '删除',
+        describe: (summary, metas) => {
+            const pinned = metas.filter(meta => meta.pinned).length;
+            const days = extension_settings[PLUGIN_NAME].trashRetentionDays;
+            const outcome = days > 0 ? `这些备份将移入回收站并保留 ${days} 天。` : '回收站已关闭，此操作无法撤销！';
+            return `将删除${summary}。${pinned ? `其中 ${pinned} 个是已固定的备份。` : ''}${outcome}`;
+        },
+        // 先删除较新的备份，减少删除基准快照时需要重新编码的增量备份
+        prepare: metas => [...metas].sort((a, b) => b.timestamp - a.timestamp),
+        run: meta => deleteBackup(meta.chatKey, meta.timestamp),
+        done: '已删除',
+    },
+    pin: {
+        title: '批量固定',
+        okButton: '固定',
+        describe: summary => `将固定${summary}，自动清理不会删除它们。`,
+        prepare: metas => metas.filter(meta => !meta.pinned),
+        run: meta => updateBackupMeta(meta.chatKey, meta.timestamp, { pinned: true }),
+        done: '已固定',
+    },
+    unpin: {
+        title: '批量取消固定',
+        okButton: '取消固定',
+        describe: summary => `将取消固定${summary}，之后它们可能被自动清理。`,
+        prepare: metas => metas.filter(meta => meta.pinned),
+        run: meta => updateBackupMeta(meta.chatKey, meta.timestamp, { pinned: false }),
+        done: '已取消固定',
+    },
+};
+
+/**
+ * 对已选择的备份执行批量操作: 一次性确认，然后在进度弹窗中逐条执行
+ * @param {'delete'|'pin'|'unpin'|'export'} actionName
+ */
+async function runBatchBackupAction(actionName) {
+    if (isBatchActionRunning) {
+        toastr.info('批量操作正在进行中', pluginId);
+        return;
+    }
+    isBatchActionRunning = true;
+    refreshSelectionUI();
+    try {
+        if (actionName === 'export') {
+            await runBatchExport();
+        } else {
+            await runBatchUpdate(BATCH_ACTIONS[actionName]);
+        }
+    } catch (error) {
+        console.error(`[${pluginId}] 批量操作 ${actionName} 失败:`, error);
+        toastr.error(`批量操作失败: ${error.message || error}`, pluginId);
+    } finally {
+        isBatchActionRunning = false;
+        await updateBackupsList();
+    }
+}
+
+async function runBatchUpdate(action) {
+    const metas = await getSelectedBackupMetas();
+    if (metas.length === 0) {
+        toastr.info('请先选择备份', pluginId);
+        return;
+    }
+    const targets = action.prepare(metas);
+    const skipped = metas.length - targets.length;
+    const confirmed = await callGenericPopup(
+        action.describe(describeBackupSelection(metas), metas) + (skipped ? ` (${skipped} 个无需修改，将跳过)` : ''),
+        POPUP_TYPE.CONFIRM,
+        null,
+        { okButton: action.okButton, cancelButton: '取消' }
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE || targets.length === 0) return;
+
+    const progress = createProgressPopup(action.title, targets.length);
+    let succeeded = 0, failed = 0;
+    const trashedKeys = [];
+    for (const [index, meta] of targets.entries()) {
+        if (progress.signal.aborted) break;
+        progress.update(index, `(${index + 1}/${targets.length}) ${meta.entityName || ''} - ${meta.chatName || ''}`);
+        try {
+            const result = await action.run(meta);
+            succeeded++;
+            if (action === BATCH_ACTIONS.delete) {
+                selectedBackups.delete(getSelectionKey(meta.chatKey, meta.timestamp));
+                if (result) trashedKeys.push([meta.chatKey, meta.timestamp]);
+            }
+        } catch (error) {
+            console.error(`[${pluginId}] ${action.title}: 处理备份 [${meta.chatKey}, ${meta.timestamp}] 失败:`, error);
+            failed++;
+        }
+    }
+    const cancelled = progress.signal.aborted;
+    await progress.close();
+
+    // 删除操作的提示可撤销，另外提示取消和失败的情况
+    if (action === BATCH_ACTIONS.delete && succeeded > 0) {
+        showDeletionToast(trashedKeys, succeeded);
+        if (cancelled || failed > 0) {
+            toastr.warning(`${action.title}${cancelled ? '已取消' : '完成'}: ${failed ? `失败 ${failed} 个` : `剩余 ${targets.length - succeeded} 个未删除`}`, pluginId);
+        }
+        return;
+    }
+
+    const summary = `${action.done} ${succeeded} 个备份${failed ? `，失败 ${failed} 个` : ''}`;
+    if (cancelled) {
+        toastr.warning(`${action.title}已取消: ${summary}`, pluginId);
+    } else if (failed > 0) {
+        toastr.warning(summary, pluginId);
+    } else {
+        toastr.success(summary, pluginId);
+    }
+}
+
+async function runBatchExport() {
+    const metas = await getSelectedBackupMetas();
+    if (metas.length === 0) {
+        toastr.info('请先选择备份', pluginId);
+        return;
+    }
+    const confirmed = await callGenericPopup(
+        `将导出${describeBackupSelection(metas)}为一个归档文件。`,
+        POPUP_TYPE.CONFIRM,
+        null,
+        { okButton: '导出', cancelButton: '取消' }
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    const keys = [...metas].sort((a, b) => a.timestamp - b.timestamp).map(meta => [meta.chatKey, meta.timestamp]);
+    const progress = createProgressPopup('批量导出', keys.length);
+    try {
+        await exportBackups(keys, 'selected', {
+            signal: progress.signal,
+            onProgress: (done, total) => progress.update(done, `正在读取 (${done + 1}/${total})`),
+        });
+        if (progress.signal.aborted) {
+            toastr.warning('批量导出已取消', pluginId);
+        }
+    } finally {
+        await progress.close();
+    }
+}
+
+
+// --- 跨备份搜索 ---
+// 搜索用的词 (小写): 中日韩文字逐字，其余按单词，忽略空白和标点
+function tokenizeForSearch(text) {
+    return tokenizeForDiff(String(text ?? '').toLowerCase()).filter(token => /[\p{L}\p{N}_]/u.test(token));
+}
+
+/**
+ * 为完整备份构建搜索索引记录
+ * tokens 为名称和消息中出现过的词 (按 multiEntry 索引查找候选备份)；消息的发送者和文本压缩保存，只在核对候选备份时解压
+ * 浏览器不支持 CompressionStream 时按明文保存在 messages 中
+ */
+async function buildSearchIndexEntry(backup) {
+    const { messages } = extractChatContent(backup);
+    const texts = messages.map(message => ({
+        name: message?.name || '',
+        text: String(message?.mes ?? ''),
+    }));
+    const tokens = new Set([backup.entityName, backup.chatName, ...texts.flatMap(message => [message.name, message.text])]
+        .flatMap(tokenizeForSearch));
+    const entry = {
+        chatKey: backup.chatKey,
+        timestamp: backup.timestamp,
+        entityName: backup.entityName || '',
+        chatName: backup.chatName || '',
+        messageCount: texts.length,
+        tokens: [...tokens],
+    };
+    if (typeof CompressionStream === 'undefined') {
+        entry.messages = texts;
+    } else {
+        entry.compressedMessages = await compressJson(texts);
+        entry.encoding = PAYLOAD_COMPRESSION;
+    }
+    return entry;
+}
+
+// 搜索索引记录占用的大小 (计入备份的存储用量)
+function getSearchEntrySize(entry) {
+    const { compressedMessages, ...rest } = entry;
+    return estimateSerializedSize(rest) + (compressedMessages?.byteLength || 0);
+}
+
+async function readSearchEntryMessages(entry) {
+    return entry.messages ?? decompressJson(entry.compressedMessages, entry.encoding);
+}
+
+// 按词查找候选备份: 每个词按词首匹配，返回包含所有词的备份键 (按时间降序)；没有可用的词时返回所有索引记录的键
+async function findSearchCandidates(tokens) {
+    const db = await getDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SEARCH_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(SEARCH_STORE_NAME);
+        const matches = [];
+        transaction.onerror = (event) => {
+            console.error(`[${pluginId}] 读取搜索索引失败:`, event.target.error);
+            reject(event.target.error);
+        };
+        transaction.oncomplete = () => {
+            const [first = new Map(), ...rest] = matches;
+            const keys = [...first.entries()]
+                .filter(([id]) => rest.every(match => match.has(id)))
+                .map(([, key]) => key);
+            resolve(keys.sort((a, b) => b[1] - a[1]));
+        };
+
+        if (tokens.length === 0) {
+            const request = store.getAllKeys();
+            request.onsuccess = () => matches.push(new Map((request.result || []).map(key => [JSON.stringify(key), key])));
+            return;
+        }
+        tokens.forEach(token => {
+            const request = store.index('tokens').getAllKeys(IDBKeyRange.bound(token, `${token}\uffff`));
+            request.onsuccess = () => matches.push(new Map((request.result || []).map(key => [JSON.stringify(key), key])));
+        });
+    });
+}
+
+async function getSearchEntry(key) {
+    const db = await getDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SEARCH_STORE_NAME], 'readonly');
+        const request = transaction.objectStore(SEARCH_STORE_NAME).get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = (event) => reject(event.target.error);
+    });
+}
+
+// 截取命中位置附近的文本片段
+function buildSearchSnippet(text, position, length, radius = 40) {
+    const start = Math.max(0, position - radius);
+    const end = Math.min(text.length, position + length + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * 在搜索索引中查找消息文本、发送者、角色/群组名或聊天名包含关键词的备份 (不区分大小写)
+ * 先按词索引找出包含所有词 (词首匹配) 的候选备份，再逐个解压核对完整的关键词并截取片段
+ * @param {string} query 关键词
+ * @returns {Promise<{hits: object[], truncated: boolean}>} 命中列表，按备份时间降序；messageIndex 为 null 表示名称命中
+ */
+async function searchBackups(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return { hits: [], truncated: false };
+
+    const candidates = await findSearchCandidates([...new Set(tokenizeForSearch(needle))]);
+    const hits = [];
+    let truncated = false;
+
+    for (const key of candidates) {
+        const entry = await getSearchEntry(key);
+        if (!entry) continue;
+        const base = { chatKey: entry.chatKey, timestamp: entry.timestamp, entityName: entry.entityName, chatName: entry.chatName };
+        const nameMatched = entry.entityName.toLowerCase().includes(needle) || entry.chatName.toLowerCase().includes(needle);
+        let messageMatched = false;
+
+        (await readSearchEntryMessages(entry)).forEach((message, index) => {
+            if (hits.length >= SEARCH_MAX_RESULTS) {
+                truncated = true;
+                return;
+            }
+            const position = message.text.toLowerCase().indexOf(needle);
+            if (position !== -1) {
+                hits.push({ ...base, messageIndex: index, sender: message.name, snippet: buildSearchSnippet(message.text, position, needle.length) });
+                messageMatched = true;
+            } else if (message.name.toLowerCase().includes(needle)) {
+                hits.push({ ...base, messageIndex: index, sender: message.name, snippet: buildSearchSnippet(message.text, 0, 0) });
+                messageMatched = true;
+            }
+        });
+
+        if (nameMatched && !messageMatched && hits.length < SEARCH_MAX_RESULTS) {
+            hits.push({ ...base, messageIndex: null, sender: '', snippet: `${entry.messageCount} 条消息` });
+        }
+        if (truncated) break;
+    }
+
+    logDebug(`搜索 "${query}": ${candidates.length} 个候选备份，命中 ${hits.length} 条${truncated ? ' (已截断)' : ''}`);
+    return { hits, truncated };
+}
+
+// 在搜索结果容器中渲染命中列表
+function renderSearchResults($container, query, { hits, truncated }) {
+    $container.empty();
+    if (!query.trim()) return;
+
+    if (hits.length === 0) {
+        $container.append('<div class="backup_empty_notice">没有找到匹配的内容</div>');
+        return;
+    }
+
+    const highlight = (text) => {
+        const escaped = escapeHtml(text);
+        const needle = escapeHtml(query.trim()).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return escaped.replace(new RegExp(needle, 'gi'), match => `<mark>${match}</mark>`);
+    };
+
+    $container.append(`<div class="backup_search_summary">找到 ${hits.length} 条结果${truncated ? ` (只显示前 ${SEARCH_MAX_RESULTS} 条)` : ''}</div>`);
+    hits.forEach(hit => {
+        const date = new Date(hit.timestamp).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+        const location = hit.messageIndex === null ? '' : ` · #${hit.messageIndex} ${highlight(hit.sender || '未知')}`;
+        const $hit = $(`
+            <div class="backup_search_hit" title="打开此备份的预览">
+                <div class="backup_search_hit_header">${highlight(hit.entityName || '未知实体')} - ${highlight(hit.chatName || '未知聊天')} · ${date}${location}</div>
+                <div class="backup_search_hit_snippet">${highlight(hit.snippet)}</div>
+            </div>
+        `);
+        $hit.attr({ 'data-key': hit.chatKey, 'data-timestamp': hit.timestamp, 'data-index': hit.messageIndex ?? '' });
+        $container.append($hit);
+    });
+}
+
+
+// --- 预览功能 (完整聊天阅读器) ---
+/**
+ * 构建备份的阅读器界面: 分页浏览、跳转到指定消息、全文搜索高亮以及隐藏/系统消息和推理内容的显示开关
+ * @param {object} backup 完整的备份对象
+ * @param {{startIndex?: number, query?: string}} options 初始定位的消息索引和搜索词
+ * @returns {HTMLElement}
+ */
+function createBackupReader(backup, { startIndex = null, query = '' } = {}) {
+    const { messages } = extractChatContent(backup);
+    const state = {
+        query,
+        showHidden: startIndex !== null && !!messages[startIndex]?.is_system,
+        showReasoning: false,
+        page: 0,
+        focusIndex: startIndex,
+    };
+
+    const root = document.createElement('div');
+    root.className = 'backup_reader';
+    root.innerHTML = `
+        <h3 class="backup_reader_title"></h3>
+        <div class="backup_reader_toolbar">
+            <input type="search" class="text_pole backup_reader_search" placeholder="搜索消息内容">
+            <label class="checkbox_label"><input type="checkbox" class="backup_reader_hidden"><span>显示隐藏/系统消息</span></label>
+            <label class="checkbox_label"><input type="checkbox" class="backup_reader_reasoning"><span>显示推理内容</span></label>
+            <span class="backup_reader_jump">
+                <input type="number" class="text_pole backup_reader_jump_index" min="0" max="${Math.max(0, messages.length - 1)}" placeholder="消息#">
+                <button class="menu_button backup_reader_jump_btn">跳转</button>
+            </span>
+        </div>
+        <div class="backup_reader_status"></div>
+        <div class="backup_reader_messages"></div>
+        <div class="backup_reader_pager">
+            <button class="menu_button backup_reader_first" title="第一页">«</button>
+            <button class="menu_button backup_reader_prev" title="上一页">‹</button>
+            <span class="backup_reader_page"></span>
+            <button class="menu_button backup_reader_next" title="下一页">›</button>
+            <button class="menu_button backup_reader_last" title="最后一页">»</button>
+        </div>`;
+
+    root.querySelector('.backup_reader_title').textContent = `${backup.entityName} - ${backup.chatName} 预览`;
+    const searchInput = root.querySelector('.backup_reader_search');
+    const hiddenToggle = root.querySelector('.backup_reader_hidden');
+    const reasoningToggle = root.querySelector('.backup_reader_reasoning');
+    const messagesContainer = root.querySelector('.backup_reader_messages');
+    searchInput.value = state.query;
+    hiddenToggle.checked = state.showHidden;
+
+    // 当前条件下可见的消息索引
+    const getVisibleIndices = () => {
+        const needle = state.query.trim().toLowerCase();
+        const indices = [];
+        messages.forEach((message, index) => {
+            if (!state.showHidden && message.is_system) return;
+            if (needle) {
+                const haystack = `${message.mes ?? ''}\n${state.showReasoning ? message.extra?.reasoning ?? '' : ''}`.toLowerCase();
+                if (!haystack.includes(needle)) return;
+            }
+            indices.push(index);
+        });
+        return indices;
+    };
+
+    const renderMessage = (message, index) => {
+        const box = document.createElement('div');
+        box.className = 'backup_reader_message';
+        box.dataset.index = String(index);
+        if (message.is_system) box.classList.add('backup_reader_system');
+        if (index === state.focusIndex) box.classList.add('backup_reader_focus');
+
+        const header = document.createElement('div');
+        header.className = 'backup_reader_sender';
+        header.textContent = `#${index} ${message.name || '未知'}`;
+        if (message.send_date) {
+            const date = document.createElement('span');
+            date.className = 'backup_reader_date';
+            date.textContent = String(message.send_date);
+            header.appendChild(date);
+        }
+        box.appendChild(header);
+
+        if (state.showReasoning && message.extra?.reasoning) {
+            const reasoning = document.createElement('details');
+            reasoning.className = 'backup_reader_reasoning_block';
+            reasoning.open = true;
+            reasoning.innerHTML = '<summary>推理内容</summary>';
+            const reasoningText = document.createElement('div');
+            reasoningText.className = 'mes_text';
+            reasoningText.innerHTML = messageFormatting(message.extra.reasoning, message.name, false, false, index, {}, true);
+            reasoning.appendChild(reasoningText);
+            box.appendChild(reasoning);
+        }
+
+        const content = document.createElement('div');
+        content.className = 'mes_text backup_reader_text';
+        content.innerHTML = message.mes
+            ? messageFormatting(message.mes, message.name, !!message.is_system, !!message.is_user, index)
+            : '(空消息)';
+        box.appendChild(content);
+
+        if (state.query.trim()) highlightMatches(box, state.query.trim());
+        return box;
+    };
+
+    const render = () => {
+        const visible = getVisibleIndices();
+        const pageCount = Math.max(1, Math.ceil(visible.length / PREVIEW_PAGE_SIZE));
+        state.page = Math.min(Math.max(0, state.page), pageCount - 1);
+
+        messagesContainer.innerHTML = '';
+        const pageIndices = visible.slice(state.page * PREVIEW_PAGE_SIZE, (state.page + 1) * PREVIEW_PAGE_SIZE);
+        pageIndices.forEach(index => messagesContainer.appendChild(renderMessage(messages[index], index)));
+        if (pageIndices.length === 0) {
+            messagesContainer.innerHTML = '<div class="backup_empty_notice">没有符合条件的消息</div>';
+        }
+
+        root.querySelector('.backup_reader_status').textContent = state.query.trim()
+            ? `找到 ${visible.length} 条匹配的消息，共 ${messages.length} 条`
+            : `显示 ${visible.length} 条消息，共 ${messages.length} 条`;
+        root.querySelector('.backup_reader_page').textContent = `${state.page + 1} / ${pageCount}`;
+        root.querySelector('.backup_reader_first').disabled = root.querySelector('.backup_reader_prev').disabled = state.page === 0;
+        root.querySelector('.backup_reader_next').disabled = root.querySelector('.backup_reader_last').disabled = state.page >= pageCount - 1;
+
+        const focused = messagesContainer.querySelector('.backup_reader_focus');
+        if (focused) setTimeout(() => focused.scrollIntoView({ block: 'center' }), 0);
+    };
+
+    // 翻到包含指定消息的页面并高亮该消息
+    const jumpTo = (index) => {
+        if (!Number.isInteger(index) || index < 0 || index >= messages.length) {
+            toastr.warning(`消息索引应在 0 到 ${messages.length - 1} 之间`, pluginId);
+            return;
+        }
+        if (messages[index].is_system && !state.showHidden) {
+            state.showHidden = hiddenToggle.checked = true;
+        }
+        let visible = getVisibleIndices();
+        if (!visible.includes(index)) {
+            // 目标消息不在搜索结果中，清除搜索
+            state.query = searchInput.value = '';
+            visible = getVisibleIndices();
+        }
+        state.focusIndex = index;
+        state.page = Math.floor(visible.indexOf(index) / PREVIEW_PAGE_SIZE);
+        render();
+    };
+
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            state.query = searchInput.value;
+            state.page = 0;
+            state.focusIndex = null;
+            render();
+        }, 300);
+    });
+    hiddenToggle.addEventListener('change', () => { state.showHidden = hiddenToggle.checked; render(); });
+    reasoningToggle.addEventListener('change', () => { state.showReasoning = reasoningToggle.checked; render(); });
+    root.querySelector('.backup_reader_jump_btn').addEventListener('click', () => {
+        jumpTo(parseInt(root.querySelector('.backup_reader_jump_index').value, 10));
+    });
+    root.querySelector('.backup_reader_jump_index').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') jumpTo(parseInt(event.target.value, 10));
+    });
+    root.querySelector('.backup_reader_first').addEventListener('click', () => { state.page = 0; render(); });
+    root.querySelector('.backup_reader_prev').addEventListener('click', () => { state.page--; render(); });
+    root.querySelector('.backup_reader_next').addEventListener('click', () => { state.page++; render(); });
+    root.querySelector('.backup_reader_last').addEventListener('click', () => { state.page = Number.MAX_SAFE_INTEGER; render(); });
+
+    if (startIndex !== null) {
+        jumpTo(startIndex);
+    } else {
+        // 默认显示最后一页，与旧版预览最近消息的习惯一致
+        state.page = Number.MAX_SAFE_INTEGER;
+        render();
+    }
+    return root;
+}
+
+// 在元素的文本节点中用 <mark> 标出搜索词 (不区分大小写)
+function highlightMatches(element, query) {
+    const needle = query.toLowerCase();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const lower = text.toLowerCase();
+        let position = lower.indexOf(needle);
+        if (position === -1) return;
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        while (position !== -1) {
+            fragment.appendChild(document.createTextNode(text.slice(last, position)));
+            const mark = document.createElement('mark');
+            mark.className = 'backup_reader_hit';
+            mark.textContent = text.slice(position, position + needle.length);
+            fragment.appendChild(mark);
+            last = position + needle.length;
+            position = lower.indexOf(needle, last);
+        }
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+async function previewBackup(chatKey, timestamp, options = {}) {
+    logDebug(`点击预览按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+    if (!await unlockBackupStore()) return;
+
+    try {
+        const backup = await getBackupFromDB(chatKey, timestamp);
+
+        if (!backup) {
+             console.error(`[${pluginId}] 找不到指定的备份进行预览:`, { timestamp, chatKey });
+             toastr.error('找不到指定的备份进行预览');
+             return;
+        }
+
+        // 群组备份直接是消息数组，角色备份是 [metadata, messages...]
+        if (extractChatContent(backup).messages.length === 0) {
+            toastr.info('此备份没有聊天消息内容可供预览', pluginId);
+            return;
+        }
+
+        const reader = createBackupReader(backup, options);
+
+        await callGenericPopup(reader, POPUP_TYPE.DISPLAY, '', {
+            wide: true,
+            large: true,
+            allowVerticalScrolling: true,
+            leftAlign: true,
+            okButton: '关闭'
+        });
 
-// --- 手动备份 ---
-async function performManualBackup() {
-    console.log(`[${pluginId}] 执行手动备份 (调用条件函数)`);
-    // 手动备份也走条件检查和锁逻辑
-    try {
-        const success = await performBackupConditional();
-        if (success) {
-             toastr.success('已手动备份当前聊天', pluginId);
-        } else {
-             // 如果 conditional 返回 false (例如，聊天为空或重复)，也给个提示
-             toastr.info('手动备份已跳过 (聊天为空或无新变化)', pluginId);
-        }
     } catch (error) {
-         // 错误已经在 conditional 函数中处理并提示，这里不再重复
+        console.error(`[${pluginId}] 预览过程中出错:`, error);
+        toastr.error(`预览过程中出错: ${error.message || error}`);
     }
 }
 
 
-// --- 恢复逻辑 (使用后端API导入/保存文件) ---
-// restoreBackup 函数现在直接接收从 IndexedDB 获取的备份对象
-async function restoreBackup(backupData) {
-    logDebug('开始恢复备份:', { chatKey: backupData.chatKey, timestamp: backupData.timestamp });
+// --- 差异对比 ---
+// 用于判断两条消息是否相同的签名 (忽略运行时附加的字段)
+function getMessageDiffSignature(message) {
+    return JSON.stringify([
+        message?.name,
+        message?.is_user,
+        message?.is_system,
+        message?.mes,
+        message?.swipe_id,
+        message?.swipes,
+        message?.extra?.reasoning,
+    ]);
+}
 
-    if (!backupData || (!backupData.rawChatData && !backupData.groupMetadata)) {
-        console.error(`[${pluginId}] 备份数据无效或不完整`, backupData);
-        toastr.error('备份数据无效或不完整');
-        return false;
-    }
+// 计算两个序列的最长公共子序列，返回匹配的下标对 [[i, j], ...]；规模过大时返回 null
+function computeLcsPairs(a, b) {
+    const n = a.length, m = b.length;
+    if (n * m > DIFF_MAX_LCS_CELLS) return null;
 
-    const confirmSave = await callGenericPopup(
-        '您确定要恢复备份吗？当前聊天中未保存的修改将会丢失。',
-        POPUP_TYPE.CONFIRM,
-        null,
-        {
-            okButton: '恢复并保存当前',
-            cancelButton: '取消',
-            customButtons: [{ text: '恢复不保存', result: 2 }],
-            defaultResult: POPUP_RESULT.AFFIRMATIVE
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
         }
-    );
-
-    if (confirmSave === POPUP_RESULT.CANCELLED) {
-        logDebug('用户取消恢复操作');
-        return false;
     }
 
-    if (confirmSave === POPUP_RESULT.AFFIRMATIVE) {
-        logDebug('用户选择保存当前聊天');
-        await saveChatConditional(); // 使用条件保存
-    } else if (confirmSave === 2) {
-        logDebug('用户选择不保存当前聊天');
-    } else {
-         console.warn(`[${pluginId}] 收到未知的确认结果: ${confirmSave}`);
-         return false;
+    const pairs = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            pairs.push([i++, j++]);
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
     }
+    return pairs;
+}
 
-    try {
-        const { entityId, isGroup, rawChatData, groupMetadata } = backupData;
-        let targetEntityId = entityId; // 恢复到备份时对应的实体ID
-
-        // 1. 切换到目标实体 (如果当前不是)
-        const initialContext = getContext();
-        const needsContextSwitch = (isGroup && initialContext.groupId !== targetEntityId) ||
-                                   (!isGroup && String(initialContext.characterId) !== targetEntityId); // 角色ID是数字，比较时注意类型
+/**
+ * 计算两组消息之间的差异
+ * 先去掉相同的前缀和后缀，再用 LCS 对齐中间部分；两个锚点之间未匹配的消息按位置配对为修改，多余的为新增或删除
+ * @param {object[]} oldMessages 较早的消息
+ * @param {object[]} newMessages 较新的消息
+ * @returns {{type: 'equal'|'added'|'removed'|'edited'|'swiped', oldIndex?: number, newIndex?: number}[]}
+ */
+function computeMessageDiff(oldMessages, newMessages) {
+    const oldSigs = oldMessages.map(getMessageDiffSignature);
+    const newSigs = newMessages.map(getMessageDiffSignature);
+
+    let prefix = 0;
+    while (prefix < oldSigs.length && prefix < newSigs.length && oldSigs[prefix] === newSigs[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < oldSigs.length - prefix && suffix < newSigs.length - prefix
+        && oldSigs[oldSigs.length - 1 - suffix] === newSigs[newSigs.length - 1 - suffix]) suffix++;
+
+    const oldMiddle = oldSigs.slice(prefix, oldSigs.length - suffix);
+    const newMiddle = newSigs.slice(prefix, newSigs.length - suffix);
+    const anchors = (computeLcsPairs(oldMiddle, newMiddle) || [])
+        .map(([i, j]) => [i + prefix, j + prefix]);
+    anchors.push([oldSigs.length - suffix, newSigs.length - suffix]);
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+
+    let oldPos = prefix, newPos = prefix;
+    anchors.forEach(([anchorOld, anchorNew], anchorIndex) => {
+        // 两个锚点之间的消息按位置配对
+        while (oldPos < anchorOld && newPos < anchorNew) {
+            const type = isSwipeChange(oldMessages[oldPos], newMessages[newPos]) ? 'swiped' : 'edited';
+            ops.push({ type, oldIndex: oldPos++, newIndex: newPos++ });
+        }
+        while (oldPos < anchorOld) ops.push({ type: 'removed', oldIndex: oldPos++ });
+        while (newPos < anchorNew) ops.push({ type: 'added', newIndex: newPos++ });
 
-        if (needsContextSwitch) {
-            try {
-                logDebug(`步骤 1: 需要切换上下文到 ${isGroup ? '群组' : '角色'} ID: ${targetEntityId}`);
-                if (isGroup) {
-                    await select_group_chats(targetEntityId);
-                } else {
-                     // 角色ID在备份中是字符串，需要转回数字索引
-                     const charIndex = characters.findIndex(char => String(char.id) === targetEntityId || String(characters.indexOf(char)) === targetEntityId);
-                     if (charIndex === -1) {
-                         throw new Error(`找不到 ID 或索引为 ${targetEntityId} 的目标角色`);
-                     }
-                    await selectCharacterById(charIndex, { switchMenu: false });
-                    targetEntityId = String(charIndex); // 更新为当前索引，方便后续检查
-                }
-                await new Promise(resolve => setTimeout(resolve, 800)); // 等待切换完成和UI稳定
-                logDebug('步骤 1: 上下文切换完成');
-            } catch (switchError) {
-                console.error(`[${pluginId}] 步骤 1 失败: 切换到目标实体失败:`, switchError);
-                toastr.error(`切换到目标${isGroup ? '群组' : '角色'}失败: ${switchError.message || switchError}`);
-                return false;
-            }
-        } else {
-            logDebug('步骤 1: 当前已在目标上下文，跳过切换');
-             // 如果是角色，确保 targetEntityId 是当前的索引字符串
-            if (!isGroup && initialContext.characterId !== undefined) {
-                 targetEntityId = String(initialContext.characterId);
-            }
+        // 最后一个"锚点"只是中间部分的结束位置
+        if (anchorIndex < anchors.length - 1) {
+            ops.push({ type: 'equal', oldIndex: oldPos++, newIndex: newPos++ });
         }
+    });
 
-        // 2. 将备份数据构造成标准 .jsonl 格式字符串
-        logDebug('步骤 2: 将备份数据构造成 .jsonl 格式字符串...');
-        let jsonlString = '';
-        let metadataToImport = {};
-        let messagesToImport = [];
+    for (let k = 0; k < suffix; k++) {
+        ops.push({ type: 'equal', oldIndex: oldPos++, newIndex: newPos++ });
+    }
+    return ops;
+}
 
-        if (isGroup) {
-             // 群组备份：元数据和消息分开存储
-            metadataToImport = groupMetadata || {};
-            messagesToImport = rawChatData || []; // rawChatData 是消息数组
-            jsonlString += JSON.stringify(metadataToImport) + '\n';
-            messagesToImport.forEach(msg => {
-                jsonlString += JSON.stringify(msg) + '\n';
-            });
-        } else {
-            // 角色备份：rawChatData 是 [metadata, messages...] 数组
-            if (Array.isArray(rawChatData) && rawChatData.length > 0) {
-                 metadataToImport = rawChatData[0]?.chat_metadata || {};
-                 messagesToImport = rawChatData.slice(1) || [];
-                 jsonlString += JSON.stringify({ chat_metadata: metadataToImport }) + '\n'; // 确保顶层是 { chat_metadata: {...} }
-                 messagesToImport.forEach(msg => {
-                     jsonlString += JSON.stringify(msg) + '\n';
-                 });
-            } else {
-                 throw new Error("角色备份数据结构异常，无法构建 .jsonl");
-            }
-        }
-        logDebug(`步骤 2: .jsonl 字符串构建完成 (${messagesToImport.length} 条消息)`);
+// 将文本切分为词: 中日韩文字逐字切分，其余按单词、空白和标点切分
+function tokenizeForDiff(text) {
+    return String(text ?? '').match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[\p{L}\p{N}_]+|\s+|[^\s]/gu) || [];
+}
 
+// 生成词级差异的 HTML (<del> 为删除的内容，<ins> 为新增的内容)
+function renderWordDiff(oldText, newText) {
+    const oldTokens = tokenizeForDiff(oldText);
+    const newTokens = tokenizeForDiff(newText);
+    const pairs = computeLcsPairs(oldTokens, newTokens);
 
-        // 3. 将 .jsonl 字符串转换为 File 对象
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const restoredFilename = `${backupData.entityName.replace(/\s+/g, '_')}_restored_${timestamp}.jsonl`; // 使用实体名和时间戳
-        const chatFileObject = new File([jsonlString], restoredFilename, { type: "application/json-lines" });
-        logDebug('步骤 3: .jsonl 字符串转换为 File 对象完成:', chatFileObject);
+    if (!pairs) {
+        return `<del>${escapeHtml(oldText ?? '')}</del><ins>${escapeHtml(newText ?? '')}</ins>`;
+    }
 
-        // 4. 调用后端导入 API
-        logDebug('步骤 4: 调用后端导入 API...');
-        const formData = new FormData();
-        formData.append('file', chatFileObject);
-        formData.append('file_type', 'jsonl');
+    let html = '';
+    let i = 0, j = 0;
+    pairs.push([oldTokens.length, newTokens.length]);
+    pairs.forEach(([pairOld, pairNew], index) => {
+        if (i < pairOld) html += `<del>${escapeHtml(oldTokens.slice(i, pairOld).join(''))}</del>`;
+        if (j < pairNew) html += `<ins>${escapeHtml(newTokens.slice(j, pairNew).join(''))}</ins>`;
+        if (index < pairs.length - 1) html += escapeHtml(oldTokens[pairOld]);
+        i = pairOld + 1;
+        j = pairNew + 1;
+    });
+    return html;
+}
 
-        let importUrl = '';
-        let newChatIdAfterImport = null; // 保存导入成功后的新chatId
+// 描述消息的 swipe 状态，例如 "2/3"
+function describeSwipeState(message) {
+    if (!Array.isArray(message?.swipes)) return '无';
+    return `${(message.swipe_id ?? 0) + 1}/${message.swipes.length}`;
+}
 
-        if (isGroup) {
-            importUrl = '/api/chats/group/import';
-            formData.append('group_id', targetEntityId); // 目标群组ID
-            // 导入API会返回新创建的聊天ID，我们需要捕获它
-        } else {
-             // 角色导入API (/api/chats/import) 似乎只导入角色卡，没有直接导入聊天文件的API到现有角色
-             // 我们需要使用 /api/chats/save 来保存备份数据为新文件，然后打开
-             // 这里不走导入API，直接走保存+打开流程
-             logDebug('步骤 4 (角色): 不使用导入API，直接走保存+打开流程');
+// 渲染单条差异项
+function renderDiffOperation(op, oldMessages, newMessages) {
+    const oldMessage = oldMessages[op.oldIndex];
+    const newMessage = newMessages[op.newIndex];
+    const message = newMessage ?? oldMessage;
+    const indexLabel = op.type === 'added' ? `#${op.newIndex}`
+        : op.type === 'removed' ? `#${op.oldIndex}`
+        : op.oldIndex === op.newIndex ? `#${op.newIndex}` : `#${op.oldIndex} → #${op.newIndex}`;
+    const typeLabels = { added: '新增', removed: '删除', edited: '修改', swiped: 'Swipe 变化' };
+
+    let body = '';
+    if (op.type === 'added' || op.type === 'removed') {
+        body = `<div class="backup_diff_text">${escapeHtml(message.mes ?? '')}</div>`;
+    } else {
+        if (oldMessage.mes !== newMessage.mes) {
+            body += `<div class="backup_diff_text">${renderWordDiff(oldMessage.mes, newMessage.mes)}</div>`;
+        }
+        if (describeSwipeState(oldMessage) !== describeSwipeState(newMessage)) {
+            body += `<div class="backup_diff_note">Swipe: ${describeSwipeState(oldMessage)} → ${describeSwipeState(newMessage)}</div>`;
         }
+        if ((oldMessage.extra?.reasoning ?? '') !== (newMessage.extra?.reasoning ?? '')) {
+            body += `<div class="backup_diff_note">推理内容:</div><div class="backup_diff_text">${renderWordDiff(oldMessage.extra?.reasoning, newMessage.extra?.reasoning)}</div>`;
+        }
+        if (!body) {
+            body = '<div class="backup_diff_note">消息的其他字段有变化</div>';
+        }
+    }
 
-        if (isGroup) {
-             // 群组：使用导入API
-             try {
-                const response = await fetch(importUrl, {
-                    method: 'POST',
-                    headers: getRequestHeaders(), // FormData 会自动设置 Content-Type
-                    body: formData,
-                });
+    return `
+        <div class="backup_diff_item backup_diff_${op.type}">
+            <div class="backup_diff_header">
+                <span class="backup_diff_type">${typeLabels[op.type]}</span>
+                <span class="backup_diff_index">${indexLabel}</span>
+                <span class="backup_diff_sender">${escapeHtml(message.name || '未知')}</span>
+            </div>
+            ${body}
+        </div>`;
+}
 
-                if (!response.ok) {
-                    const errorData = await response.json();
-                    throw new Error(`群组聊天导入API调用失败! 状态: ${response.status} - ${errorData.error || '未知错误'}`);
-                }
-                const importResult = await response.json();
-                logDebug(`步骤 4: 群组导入API响应:`, importResult);
+// 选择对比目标: 同一聊天的其他备份，或当前打开的聊天 (仅当它就是备份所属的聊天时)
+async function selectDiffTarget(chatKey, timestamp) {
+    const others = (await getBackupsForChat(chatKey))
+        .filter(record => record.timestamp !== timestamp)
+        .sort((a, b) => b.timestamp - a.timestamp);
+    const canCompareLive = getCurrentChatKey() === chatKey && getContext().chat?.length > 0;
 
-                if (importResult.res) { // importResult.res 是新创建的聊天ID
-                    newChatIdAfterImport = importResult.res;
-                    logDebug(`步骤 4: 群组导入成功，新聊天ID: ${newChatIdAfterImport}`);
-                } else {
-                    throw new Error('群组聊天导入API未返回预期的聊天ID。');
-                }
-            } catch (error) {
-                console.error(`[${pluginId}] 步骤 4 失败: 群组导入API调用出错:`, error);
-                throw new Error(`群组聊天导入失败: ${error.message || error}`);
-            }
+    if (!others.length && !canCompareLive) {
+        toastr.info('没有可对比的对象: 此聊天没有其他备份，且当前打开的不是该聊天', pluginId);
+        return null;
+    }
 
-        } else {
-            // 角色：使用保存API将备份数据保存为新文件
-            const character = characters.find(char => String(characters.indexOf(char)) === targetEntityId || String(char.id) === targetEntityId);
-            if (!character) throw new Error(`找不到索引或ID为 ${targetEntityId} 的目标角色信息`);
+    const container = document.createElement('div');
+    container.innerHTML = `
+        <h3>选择对比对象</h3>
+        <select class="text_pole backup_diff_target">
+            ${canCompareLive ? '<option value="live">当前聊天 (实时内容)</option>' : ''}
+            ${others.map(record => `<option value="${record.timestamp}">${escapeHtml(new Date(record.timestamp).toLocaleString())} - 消息数 ${record.lastMessageId + 1}</option>`).join('')}
+        </select>`;
 
-            const newChatIdForRole = restoredFilename.replace('.jsonl', ''); // 使用生成的文件名作为chatId
+    const result = await callGenericPopup(container, POPUP_TYPE.CONFIRM, '', { okButton: '对比', cancelButton: '取消' });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
 
-            try {
-                logDebug(`步骤 4 (角色): 尝试将备份内容保存为新聊天文件: ${newChatIdForRole}.jsonl`);
-                const saveResponse = await fetch('/api/chats/save', {
-                    method: 'POST',
-                    headers: getRequestHeaders(),
-                    body: JSON.stringify({
-                        ch_name: character.name,
-                        file_name: newChatIdForRole, // 新文件名
-                        chat: [{ chat_metadata: metadataToImport }, ...messagesToImport], // 构造 [metadata, messages...] 数组
-                        avatar_url: character.avatar,
-                        force: true // 强制保存，覆盖同名文件（如果需要）
-                    }),
-                });
+    const value = container.querySelector('.backup_diff_target').value;
+    return value === 'live' ? 'live' : Number(value);
+}
 
-                if (!saveResponse.ok) {
-                    const errorData = await saveResponse.json();
-                     throw new Error(`保存角色聊天文件失败! 状态: ${saveResponse.status} - ${errorData.error || '未知错误'}`);
-                }
-                logDebug(`步骤 4 (角色): 新聊天文件 ${newChatIdForRole}.jsonl 应已保存。`);
-                newChatIdAfterImport = newChatIdForRole; // 保存的文件名就是新的chatId
+// 对比一个备份与同一聊天的另一个备份或当前聊天，并显示差异
+async function showBackupDiff(chatKey, timestamp) {
+    const target = await selectDiffTarget(chatKey, timestamp);
+    if (target === null) return;
 
-            } catch (error) {
-                 console.error(`[${pluginId}] 步骤 4 失败: 保存角色聊天文件出错:`, error);
-                 throw new Error(`保存角色聊天文件失败: ${error.message || error}`);
-            }
+    const backup = await getBackupFromDB(chatKey, timestamp);
+    if (!backup) {
+        toastr.error('找不到指定的备份进行对比');
+        return;
+    }
+
+    let oldSide, newSide;
+    const backupSide = { label: `备份 ${new Date(backup.timestamp).toLocaleString()}`, messages: extractChatContent(backup).messages };
+    if (target === 'live') {
+        oldSide = backupSide;
+        newSide = { label: '当前聊天', messages: getContext().chat || [] };
+    } else {
+        const other = await getBackupFromDB(chatKey, target);
+        if (!other) {
+            toastr.error('找不到用于对比的备份');
+            return;
         }
+        const otherSide = { label: `备份 ${new Date(other.timestamp).toLocaleString()}`, messages: extractChatContent(other).messages };
+        [oldSide, newSide] = other.timestamp < backup.timestamp ? [otherSide, backupSide] : [backupSide, otherSide];
+    }
 
+    const ops = computeMessageDiff(oldSide.messages, newSide.messages);
+    const counts = { added: 0, removed: 0, edited: 0, swiped: 0, equal: 0 };
+    ops.forEach(op => counts[op.type]++);
 
-        // 5. 加载新创建/导入的聊天
-        logDebug('步骤 5: 加载新创建/导入的聊天...');
-        if (newChatIdAfterImport) {
-            try {
-                if (isGroup) {
-                    await select_group_chats(targetEntityId, newChatIdAfterImport); // 加载指定群组的指定聊天
-                } else {
-                    await openCharacterChat(newChatIdAfterImport); // 加载指定角色下的指定聊天文件
-                }
-                 // 延迟等待加载和插件初始化
-                await new Promise(resolve => setTimeout(resolve, 3000)); // 保持一个较长的延迟
+    let html = `
+        <h3>${escapeHtml(backup.entityName || '')} - ${escapeHtml(backup.chatName || '')} 差异对比</h3>
+        <div class="backup_diff_summary">
+            <div>${escapeHtml(oldSide.label)} (${oldSide.messages.length} 条) → ${escapeHtml(newSide.label)} (${newSide.messages.length} 条)</div>
+            <div>新增 ${counts.added}，删除 ${counts.removed}，修改 ${counts.edited}，Swipe 变化 ${counts.swiped}，未变化 ${counts.equal}</div>
+        </div>`;
 
-                logDebug('步骤 5: 新聊天加载完成');
+    if (ops.every(op => op.type === 'equal')) {
+        html += '<div class="backup_empty_notice">两者内容相同</div>';
+    }
 
-            } catch (loadError) {
-                 console.error(`[${pluginId}] 步骤 5 失败: 加载新创建/导入的聊天时出错:`, loadError);
-                 throw new Error(`加载恢复的聊天失败: ${loadError.message || loadError}`);
-            }
-        } else {
-            throw new Error("未能获取新创建/导入聊天的ID");
+    // 连续未变化的消息折叠为一行
+    let unchangedRun = 0;
+    const flushUnchanged = () => {
+        if (unchangedRun > 0) html += `<div class="backup_diff_unchanged">… ${unchangedRun} 条未变化的消息 …</div>`;
+        unchangedRun = 0;
+    };
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            unchangedRun++;
+            return;
         }
+        flushUnchanged();
+        html += renderDiffOperation(op, oldSide.messages, newSide.messages);
+    });
+    if (ops.some(op => op.type !== 'equal')) flushUnchanged();
+
+    const content = document.createElement('div');
+    content.className = 'backup_diff_view';
+    content.innerHTML = html;
+
+    await callGenericPopup(content, POPUP_TYPE.DISPLAY, '', {
+        wide: true,
+        large: true,
+        allowVerticalScrolling: true,
+        leftAlign: true,
+        okButton: '关闭'
+    });
+}
 
 
-        // --- 结束 ---
-        logDebug('恢复流程完成');
-        toastr.success('聊天备份已成功恢复！', pluginId);
-        // 刷新备份列表UI，可能新文件会出现在列表中
-        updateBackupsList();
-        // 关闭弹窗
-        if (backupManagerPopup) {
-            backupManagerPopup.dlg.close();
+// --- 导出与导入 ---
+// ZIP 所需的 CRC32 查找表
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let c = i;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
         }
-        return true;
-
-    } catch (error) {
-        console.error(`[${pluginId}] 恢复聊天过程中发生未预料的严重错误:`, error);
-        toastr.error(`恢复失败: ${error.message || '未知错误'}`, pluginId);
-        // 可以在这里尝试切换回之前的聊天，但可能会引入新的复杂性
-        return false;
+        table[i] = c >>> 0;
     }
-}
+    return table;
+})();
 
-
-// --- UI 更新 (适应新结构) ---
-async function updateBackupsList() {
-    logDebug('开始更新备份列表UI');
-    const backupsContainer = $('#chat_backup_list');
-    if (!backupsContainer.length) {
-        console.warn(`[${pluginId}] 找不到备份列表容器元素 #chat_backup_list`);
-        return;
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
     }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-    backupsContainer.html('<div class="backup_empty_notice">正在加载备份...</div>');
-
-    try {
-        const allBackupKeys = await getAllBackupKeys(); // 先获取所有键
-        const allBackupsPromises = allBackupKeys.map(key => getBackupFromDB(key[0], key[1]));
-        const allBackups = await Promise.all(allBackupsPromises);
-
-        // 过滤掉加载失败的备份 (null)
-        const validBackups = allBackups.filter(backup => backup !== null);
+// 生成 ZIP 归档 (仅存储，不压缩)
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034B50, true); // 本地文件头签名
+        localHeader.setUint16(4, 20, true);         // 所需版本
+        localHeader.setUint16(6, 0x0800, true);     // 文件名使用 UTF-8
+        localHeader.setUint16(8, 0, true);          // 存储方式: 不压缩
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, nameBytes.length, true);
+        localParts.push(localHeader.buffer, nameBytes, data);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014B50, true); // 中央目录签名
+        centralHeader.setUint16(4, 20, true);
+        centralHeader.setUint16(6, 20, true);
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true);
+        centralParts.push(centralHeader.buffer, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
 
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // 中央目录结束签名
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
 
-        backupsContainer.empty(); // 清空
+    return new Blob([...localParts, ...centralParts, end.buffer], { type: 'application/zip' });
+}
 
-        if (validBackups.length === 0) {
-            backupsContainer.append('<div class="backup_empty_notice">暂无保存的备份</div>');
-            return;
+// 读取 ZIP 归档，返回 文件名 -> 内容(Uint8Array) 的 Map (支持不压缩和 deflate)
+async function readZipArchive(buffer) {
+    const view = new DataView(buffer);
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
         }
+    }
+    if (endOffset === -1) {
+        throw new Error('不是有效的 ZIP 文件');
+    }
 
-        // 按时间降序排序
-        validBackups.sort((a, b) => b.timestamp - a.timestamp);
-        logDebug(`渲染 ${validBackups.length} 个备份`);
-
-        validBackups.forEach(backup => {
-            const date = new Date(backup.timestamp);
-            const formattedDate = date.toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
-
-            const backupItem = $(`
-                <div class="backup_item">
-                    <div class="backup_info">
-                        <div class="backup_header">
-                            <span class="backup_entity" title="${backup.entityName}">${backup.entityName || '未知实体'}</span>
-                            <span class="backup_chat" title="${backup.chatName}">${backup.chatName || '未知聊天'}</span>
-                        </div>
-                         <div class="backup_details">
-                            <span class="backup_mesid">消息数: ${backup.lastMessageId + 1}</span>
-                            <span class="backup_date">${formattedDate}</span>
-                        </div>
-                        <div class="backup_preview" title="${backup.lastMessagePreview}">${backup.lastMessagePreview}...</div>
-                    </div>
-                    <div class="backup_actions">
-                        <button class="menu_button backup_preview_btn" title="预览此备份的最后两条消息" data-timestamp="${backup.timestamp}" data-key="${backup.chatKey}">预览</button>
-                        <button class="menu_button backup_restore" title="恢复此备份到新聊天" data-timestamp="${backup.timestamp}" data-key="${backup.chatKey}">恢复</button>
-                        <button class="menu_button danger_button backup_delete" title="删除此备份" data-timestamp="${backup.timestamp}" data-key="${backup.chatKey}">删除</button>
-                    </div>
-                </div>
-            `);
-            backupsContainer.append(backupItem);
-        });
+    const decoder = new TextDecoder();
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let pointer = view.getUint32(endOffset + 16, true);
+    const files = new Map();
 
-        logDebug('备份列表渲染完成');
-    } catch (error) {
-        console.error(`[${pluginId}] 更新备份列表失败:`, error);
-        backupsContainer.html(`<div class="backup_empty_notice">加载备份列表失败: ${error.message}</div>`);
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(pointer, true) !== 0x02014B50) {
+            throw new Error('ZIP 中央目录已损坏');
+        }
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = new Uint8Array(buffer, dataOffset, compressedSize);
+
+        if (method === 0) {
+            files.set(name, compressed);
+        } else if (method === 8) {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+        } else {
+            throw new Error(`不支持的 ZIP 压缩方式 ${method} (${name})`);
+        }
     }
+    return files;
 }
 
+// 将完整备份转换为 .jsonl 文本: 第一行为元数据头，其后每行一条消息
+function buildBackupJsonl(backup) {
+    const { metadata, messages } = extractChatContent(backup);
+    return [metadata, ...messages].map(item => JSON.stringify(item)).join('\n') + '\n';
+}
 
-// --- 预览功能 (适应新结构) ---
-async function previewBackup(chatKey, timestamp) {
-    logDebug(`点击预览按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+/**
+ * 导出指定的备份为一个 ZIP 归档并下载
+ * @param {Array<[string, number]>} keys 备份键列表
+ * @param {string} label 归档文件名中的标签
+ * @param {{signal?: AbortSignal, onProgress?: (done: number, total: number) => void}} [options] 取消信号和进度回调
+ * @returns {Promise<number>} 导出的备份数量；取消时为 0 且不下载
+ */
+async function exportBackups(keys, label, { signal = null, onProgress = null } = {}) {
+    if (!keys.length) {
+        toastr.info('没有可导出的备份', pluginId);
+        return 0;
+    }
+    if (!await unlockBackupStore()) return 0;
 
-    try {
-        const backup = await getBackupFromDB(chatKey, timestamp);
+    logDebug(`开始导出 ${keys.length} 个备份 (${label})`);
+    const files = [];
+    const manifestEntries = [];
 
+    for (const [index, [chatKey, timestamp]] of keys.entries()) {
+        if (signal?.aborted) {
+            logDebug('导出已取消');
+            return 0;
+        }
+        onProgress?.(index, keys.length);
+        const backup = await getBackupFromDB(chatKey, timestamp);
         if (!backup) {
-             console.error(`[${pluginId}] 找不到指定的备份进行预览:`, { timestamp, chatKey });
-             toastr.error('找不到指定的备份进行预览');
-             return;
+            console.warn(`[${pluginId}] 导出时找不到备份 [${chatKey}, ${timestamp}]，已跳过`);
+            continue;
         }
+        const safeName = `${backup.entityName || 'backup'}_${backup.chatName || ''}`.replace(/[\\/:*?"<>|\s]+/g, '_');
+        const fileName = `backups/${String(manifestEntries.length + 1).padStart(4, '0')}_${safeName}_${timestamp}.jsonl`;
+        const meta = stripBackupPayload(backup);
+        delete meta.storageType;
+        delete meta.baseTimestamp;
+
+        // 角色卡、世界书等相关状态不属于聊天文件，放在清单条目中
+        manifestEntries.push({ ...meta, ...(backup.contextState ? { contextState: backup.contextState } : {}), file: fileName });
+        files.push({ name: fileName, data: buildBackupJsonl(backup) });
+    }
 
-        let messagesToPreview = [];
-        let totalMessages = 0;
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        plugin: PLUGIN_NAME,
+        exportedAt: Date.now(),
+        backups: manifestEntries,
+    };
+    files.unshift({ name: ARCHIVE_MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) });
+
+    const archiveName = `ST_ChatBackup_${label}_${timestampToMoment(Date.now()).format('YYYYMMDD_HHmmss')}.zip`;
+    let archive = createZipArchive(files);
+    // 启用加密时导出的归档同样加密，导入时需要输入备份口令
+    if (isEncryptionEnabled()) {
+        archive = await sealArchive(archive);
+    }
+    download(archive, archiveName, 'application/zip');
+    toastr.success(`已导出 ${manifestEntries.length} 个备份`, pluginId);
+    logDebug(`导出完成: ${archiveName}`);
+    return manifestEntries.length;
+}
 
-        if (backup.isGroup) {
-             messagesToPreview = backup.rawChatData || []; // 群组备份直接是消息数组
-             totalMessages = messagesToPreview.length;
-        } else {
-             // 角色备份是 [metadata, messages...]
-             if (Array.isArray(backup.rawChatData) && backup.rawChatData.length > 1) {
-                 messagesToPreview = backup.rawChatData.slice(1); // 跳过元数据
-                 totalMessages = messagesToPreview.length;
-             } else {
-                 messagesToPreview = [];
-                 totalMessages = 0;
-             }
-        }
+// 用当前的备份密钥加密整个归档: 外层清单只记录解密所需的参数，内层归档作为密文保存
+async function sealArchive(archive) {
+    const { salt, iterations } = extension_settings[PLUGIN_NAME].encryption;
+    const { iv, data } = await encryptBytes(encryptionKey, await archive.arrayBuffer());
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        plugin: PLUGIN_NAME,
+        exportedAt: Date.now(),
+        encrypted: { cipher: 'AES-GCM', kdf: 'PBKDF2-SHA256', iterations, salt, iv: bytesToBase64(iv) },
+    };
+    return createZipArchive([
+        { name: ARCHIVE_MANIFEST_NAME, data: JSON.stringify(manifest, null, 2) },
+        { name: ENCRYPTED_ARCHIVE_PAYLOAD_NAME, data: new Uint8Array(data) },
+    ]);
+}
 
+// 输入口令解密加密归档，返回内层归档的文件 Map；用户取消时返回 null
+async function openSealedArchive(encrypted, files) {
+    const ciphertext = files.get(ENCRYPTED_ARCHIVE_PAYLOAD_NAME);
+    if (!ciphertext || encrypted.cipher !== 'AES-GCM' || encrypted.kdf !== 'PBKDF2-SHA256') {
+        throw new Error('不支持的加密归档格式');
+    }
+    while (true) {
+        const passphrase = await promptPassphrase({ title: '解密备份归档', text: '此归档已加密，请输入导出时使用的备份口令。' });
+        if (passphrase === null) return null;
 
-        if (totalMessages === 0) {
-            toastr.info('此备份没有聊天消息内容可供预览', pluginId);
-            return;
+        const key = await deriveEncryptionKey(passphrase, base64ToBytes(encrypted.salt), encrypted.iterations);
+        try {
+            const bytes = await decryptBytes(key, { iv: base64ToBytes(encrypted.iv), data: ciphertext });
+            return readZipArchive(bytes);
+        } catch (error) {
+            logDebug('解密归档失败:', error);
+            toastr.error('口令错误', pluginId);
         }
+    }
+}
 
-        // 获取最后两条消息
-        const lastMessages = messagesToPreview.slice(-2);
+// 读取并解析归档清单
+function readArchiveManifest(files) {
+    const manifestBytes = files.get(ARCHIVE_MANIFEST_NAME);
+    if (!manifestBytes) {
+        throw new Error(`归档中缺少 ${ARCHIVE_MANIFEST_NAME}`);
+    }
+    return JSON.parse(new TextDecoder().decode(manifestBytes));
+}
 
-        // 过滤标签并处理Markdown - 保持不变
-        const processMessage = (messageText) => {
-            if (!messageText) return '(空消息)';
+// 导出单个备份
+async function exportSingleBackup(chatKey, timestamp) {
+    await exportBackups([[chatKey, timestamp]], 'single');
+}
 
-            let processed = messageText
-                .replace(/<think>[\s\S]*?<\/think>/g, '')
-                .replace(/<thinking>[\s\\S]*?<\/thinking>/g, ''); // 修正regex
+// 导出指定聊天的所有备份
+async function exportChatBackups(chatKey) {
+    const records = await getBackupsForChat(chatKey);
+    await exportBackups(records.map(record => [record.chatKey, record.timestamp]), 'chat');
+}
 
-            processed = processed
-                .replace(/```[\s\S]*?```/g, '')
-                .replace(/`[\s\S]*?`/g, '');
+// 导出整个备份库
+async function exportAllBackups() {
+    await exportBackups(await getAllBackupKeys(), 'all');
+}
 
-            processed = processed
-                .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                .replace(/\*(.*?)\*/g, '<em>$1</em>')
-                .replace(/\n\n+/g, '\n')
-                .replace(/\n/g, '<br>');
+// 校验归档清单中的单个条目
+// 导入时从清单条目中采用的字段及允许的类型；其余字段 (存储方式、大小、固定状态、加密标记等) 由插件保存时生成，不信任归档中的值
+const ARCHIVE_IMPORT_FIELDS = {
+    chatKey: ['string'],
+    timestamp: ['number'],
+    isGroup: ['boolean'],
+    entityId: ['string', 'number'], // 旧版角色备份使用数组索引
+    entityName: ['string'],
+    chatName: ['string'],
+    chatId: ['string'],
+    label: ['string'],
+    note: ['string'],
+    trigger: ['string'],
+    identityVersion: ['number'],
+    contextState: ['object'],
+};
 
-            return processed;
-        };
+// 按 ARCHIVE_IMPORT_FIELDS 从清单条目中取出字段，类型不符的字段丢弃
+function pickArchiveEntryFields(entry) {
+    const meta = {};
+    Object.entries(ARCHIVE_IMPORT_FIELDS).forEach(([field, types]) => {
+        const value = entry[field];
+        const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+        if (types.includes(type) && (type !== 'number' || Number.isFinite(value))) {
+            meta[field] = value;
+        }
+    });
+    if (meta.contextState) meta.hasContextState = true;
+    return meta;
+}
 
-        // 创建样式和预览内容 - 保持不变
-        const style = document.createElement('style');
-        style.textContent = `
-            .message_box {
-                padding: 10px;
-                margin-bottom: 10px;
-                border-radius: 8px;
-                background: rgba(0, 0, 0, 0.15);
-            }
-            .message_sender {
-                font-weight: bold;
-                margin-bottom: 5px;
-                color: var(--SmColor);
-            }
-            .message_content {
-                white-space: pre-wrap;
-                line-height: 1.4;
-            }
-            .message_content br + br {
-                margin-top: 0.5em;
-            }
-        `;
+function validateManifestEntry(entry) {
+    return entry && typeof entry === 'object'
+        && typeof entry.chatKey === 'string' && entry.chatKey.length > 0
+        && typeof entry.timestamp === 'number' && Number.isFinite(entry.timestamp)
+        && typeof entry.isGroup === 'boolean'
+        && typeof entry.file === 'string';
+}
 
-        const previewContent = document.createElement('div');
-        previewContent.appendChild(style);
+// 解析 .jsonl 文本，返回 { metadata, messages }
+function parseBackupJsonl(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) {
+        throw new Error('备份文件为空');
+    }
+    const [metadata, ...messages] = lines.map(line => JSON.parse(line));
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('备份文件缺少元数据头');
+    }
+    return { metadata, messages };
+}
 
-        const headerDiv = document.createElement('h3');
-        headerDiv.textContent = `${backup.entityName} - ${backup.chatName} 预览`;
-        previewContent.appendChild(headerDiv);
+// 导入 ZIP 归档并合并到备份库 (按 [chatKey, timestamp] 跳过重复项)，取消输入口令时返回 null
+async function importBackupArchive(file) {
+    logDebug(`开始导入备份归档: ${file.name}`);
+    let files = await readZipArchive(await file.arrayBuffer());
+    const decoder = new TextDecoder();
+
+    let manifest = readArchiveManifest(files);
+    if (manifest?.format === ARCHIVE_FORMAT && manifest.encrypted) {
+        files = await openSealedArchive(manifest.encrypted, files);
+        if (!files) return null;
+        manifest = readArchiveManifest(files);
+    }
+    if (manifest?.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.backups)) {
+        throw new Error('不是本插件导出的备份归档');
+    }
+    if (manifest.version > ARCHIVE_VERSION) {
+        throw new Error(`归档版本 ${manifest.version} 高于插件支持的版本 ${ARCHIVE_VERSION}，请先更新插件`);
+    }
 
-        // 为每条消息创建单独的盒子
-        lastMessages.forEach(msg => {
-            const messageBox = document.createElement('div');
-            messageBox.className = 'message_box';
+    const result = { imported: 0, duplicates: 0, invalid: 0, importedKeys: [] };
+    for (const entry of manifest.backups) {
+        if (!validateManifestEntry(entry) || !files.has(entry.file)) {
+            console.warn(`[${pluginId}] 归档中的条目无效，已跳过:`, entry);
+            result.invalid++;
+            continue;
+        }
+        if (await getBackupMeta(entry.chatKey, entry.timestamp)) {
+            logDebug(`备份 [${entry.chatKey}, ${entry.timestamp}] 已存在，跳过`);
+            result.duplicates++;
+            continue;
+        }
 
-            const senderDiv = document.createElement('div');
-            senderDiv.className = 'message_sender';
-            senderDiv.textContent = msg.name || '未知';
+        try {
+            const { metadata, messages } = parseBackupJsonl(decoder.decode(files.get(entry.file)));
+            const lastMessage = messages[messages.length - 1];
+            await saveBackupToDB({
+                ...pickArchiveEntryFields(entry),
+                lastMessageId: messages.length - 1,
+                lastMessagePreview: (typeof lastMessage?.mes === 'string' ? lastMessage.mes.substring(0, 100) : '') || '(空消息)',
+                ...buildChatContent(entry.isGroup, metadata, messages),
+            });
+            result.imported++;
+            result.importedKeys.push([entry.chatKey, entry.timestamp]);
+        } catch (error) {
+            console.warn(`[${pluginId}] 导入备份 ${entry.file} 失败:`, error);
+            result.invalid++;
+        }
+    }
 
-            const contentDiv = document.createElement('div');
-            contentDiv.className = 'message_content';
-            contentDiv.innerHTML = processMessage(msg.mes);
+    // 旧版归档中的角色备份使用数组索引作为标识，导入后按当前角色列表迁移
+    await migrateLegacyChatKeys();
 
-            messageBox.appendChild(senderDiv);
-            messageBox.appendChild(contentDiv);
+    logDebug('导入完成:', result);
+    return result;
+}
 
-            previewContent.appendChild(messageBox);
-        });
+/**
+ * 导入的备份通常比已有的备份旧，下次自动备份时的保留策略可能立即清理它们
+ * 导入后按当前的保留策略检查，提示会被清理的数量并可选择固定它们
+ * @param {Array<[string, number]>} importedKeys 本次导入的备份键
+ * @returns {Promise<number>} 固定的备份数量
+ */
+async function reviewImportedBackupsRetention(importedKeys) {
+    if (importedKeys.length === 0) return 0;
+    const settings = extension_settings[PLUGIN_NAME];
+    const imported = new Set(importedKeys.map(([chatKey, timestamp]) => getSelectionKey(chatKey, timestamp)));
+    const atRisk = selectBackupsToPrune(await getAllBackupsMeta(), settings)
+        .filter(meta => imported.has(getSelectionKey(meta.chatKey, meta.timestamp)));
+    logDebug(`导入的 ${importedKeys.length} 个备份中有 ${atRisk.length} 个超出保留策略`);
+    if (atRisk.length === 0) return 0;
+
+    const outcome = settings.trashRetentionDays > 0 ? '清理并移入回收站' : '永久删除';
+    const confirmed = await callGenericPopup(
+        `导入的 ${importedKeys.length} 个备份中有 ${atRisk.length} 个超出当前的保留策略 (每个聊天/角色的保留数、按时间抽稀或全局上限)，下次自动备份时会被${outcome}。<br><br>是否固定这些备份以保留它们？`,
+        POPUP_TYPE.CONFIRM,
+        null,
+        { okButton: '固定', cancelButton: '不固定' }
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return 0;
 
-        const footerDiv = document.createElement('div');
-        footerDiv.style.marginTop = '10px';
-        footerDiv.style.opacity = '0.7';
-        footerDiv.style.fontSize = '0.9em';
-        footerDiv.textContent = `显示最后 ${lastMessages.length} 条消息，共 ${totalMessages} 条`;
-        previewContent.appendChild(footerDiv);
+    for (const meta of atRisk) {
+        await updateBackupMeta(meta.chatKey, meta.timestamp, { pinned: true });
+    }
+    return atRisk.length;
+}
 
-        // 使用系统弹窗显示预览内容
-        // 导入对话框系统 (确保已导入 popup.js)
-        // const { callGenericPopup, POPUP_TYPE } = await import('../../../popup.js'); // 已在顶部导入
 
-        await callGenericPopup(previewContent, POPUP_TYPE.DISPLAY, '', {
-            wide: true,
-            allowVerticalScrolling: true,
-            leftAlign: true,
-            okButton: '关闭'
-        });
+// --- 斜杠命令 ---
+// 当前聊天的备份，按时间降序 (索引 0 为最新的备份，与 /backup-list 的输出一致)
+async function getSortedBackupsForCurrentChat() {
+    const chatKey = getCurrentChatKey();
+    if (!chatKey) return null;
+    const backups = await getBackupsForChat(chatKey);
+    return backups.sort((a, b) => b.timestamp - a.timestamp);
+}
 
-    } catch (error) {
-        console.error(`[${pluginId}] 预览过程中出错:`, error);
-        toastr.error(`预览过程中出错: ${error.message || error}`);
+// 按斜杠命令的 index 参数取得当前聊天的备份，无效时提示并返回 null
+async function getBackupByCommandIndex(indexArg) {
+    if (!await unlockBackupStore()) return null;
+    const backups = await getSortedBackupsForCurrentChat();
+    if (!backups) {
+        toastr.warning('请先打开一个聊天', pluginId);
+        return null;
+    }
+    const index = Number(indexArg ?? 0);
+    if (!Number.isInteger(index) || index < 0 || index >= backups.length) {
+        toastr.warning(`无效的备份索引 ${indexArg}，当前聊天有 ${backups.length} 个备份 (0 为最新)`, pluginId);
+        return null;
     }
+    return backups[index];
+}
+
+function registerSlashCommands() {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-now',
+        callback: async (args) => {
+            const success = await performManualBackup({ quiet: args.quiet === 'true' });
+            return String(success);
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'quiet',
+                description: '不显示结果提示',
+                typeList: [ARGUMENT_TYPE.BOOLEAN],
+                defaultValue: 'false',
+                enumList: ['true', 'false'],
+            }),
+        ],
+        helpString: '立即备份当前聊天。保存了新备份时返回 true，聊天为空或内容没有变化时返回 false。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-list',
+        callback: async (args) => {
+            if (!await unlockBackupStore()) return '';
+            const backups = await getSortedBackupsForCurrentChat();
+            if (!backups) {
+                toastr.warning('请先打开一个聊天', pluginId);
+                return '';
+            }
+            const items = backups.map((backup, index) => ({
+                index,
+                timestamp: backup.timestamp,
+                date: new Date(backup.timestamp).toLocaleString(),
+                entityName: backup.entityName,
+                chatName: backup.chatName,
+                messageCount: backup.lastMessageId + 1,
+                changeType: backup.changeType ?? null,
+                preview: backup.lastMessagePreview,
+            }));
+            if (args.format === 'text') {
+                return items.map(item => {
+                    const change = item.changeType ? ` [${CHANGE_TYPE_LABELS[item.changeType] || item.changeType}]` : '';
+                    return `${item.index}. ${item.date}${change} - 消息数 ${item.messageCount} - ${item.preview}`;
+                }).join('\n');
+            }
+            return JSON.stringify(items);
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'format',
+                description: '输出格式',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'json',
+                enumList: ['json', 'text'],
+            }),
+        ],
+        helpString: '列出当前聊天的备份 (索引 0 为最新)。默认返回 JSON 数组，format=text 时返回每行一个备份的文本。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-restore',
+        callback: async (args) => {
+            const meta = await getBackupByCommandIndex(args.index);
+            if (!meta) return 'false';
+            const backup = await getBackupFromDB(meta.chatKey, meta.timestamp);
+            if (!backup) {
+                toastr.error('找不到指定的备份进行恢复');
+                return 'false';
+            }
+            const mode = args.mode === 'inplace' ? 'inplace' : 'new';
+            return String(await restoreBackup(backup, { mode }));
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'index',
+                description: '备份索引 (0 为最新，见 /backup-list)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                defaultValue: '0',
+            }),
+            SlashCommandNamedArgument.fromProps({
+                name: 'mode',
+                description: 'new 恢复为新聊天文件；inplace 覆盖原聊天文件 (覆盖前自动备份)',
+                typeList: [ARGUMENT_TYPE.STRING],
+                defaultValue: 'new',
+                enumList: ['new', 'inplace'],
+            }),
+        ],
+        helpString: '恢复当前聊天的指定备份。成功时返回 true，索引无效、备份库未解锁或恢复失败时返回 false。',
+    }));
+
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'backup-delete',
+        callback: async (args) => {
+            const meta = await getBackupByCommandIndex(args.index);
+            if (!meta) return 'false';
+            try {
+                await deleteBackup(meta.chatKey, meta.timestamp);
+            } catch (error) {
+                console.error(`[${pluginId}] 斜杠命令删除备份失败:`, error);
+                toastr.error(`删除备份失败: ${error.message}`, pluginId);
+                return 'false';
+            }
+            await updateBackupsList();
+            return 'true';
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'index',
+                description: '备份索引 (0 为最新，见 /backup-list)',
+                typeList: [ARGUMENT_TYPE.NUMBER],
+                isRequired: true,
+            }),
+        ],
+        helpString: '删除当前聊天的指定备份 (启用回收站时移入回收站)。成功时返回 true，索引无效、备份库未解锁或删除失败时返回 false。',
+    }));
+
+    logDebug('已注册斜杠命令: /backup-now, /backup-list, /backup-restore, /backup-delete');
 }
 
 
@@ -1095,6 +6398,9 @@ jQuery(async () => {
 eventSource.on(event_types.APP_READY, async () => {
     logDebug('收到 APP_READY 事件，SillyTavern 核心功能已准备就绪。');
 
+    // 角色列表已加载，迁移升级时未能重新键入的旧备份
+    await migrateLegacyChatKeys();
+
     const $backupButton = $('#option_manage_backups');
 
     if ($backupButton.length) {
@@ -1136,6 +6442,30 @@ eventSource.on(event_types.APP_READY, async () => {
         }
     });
 
+    $(document).on('click', '.chat-backup-manager-popup .backup_restore_inplace', async function() {
+        const button = $(this);
+        const timestamp = parseInt(button.data('timestamp'));
+        const chatKey = button.data('key');
+        logDebug(`弹窗内点击原位恢复按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+
+        button.prop('disabled', true).text('恢复中...');
+
+        try {
+            const backup = await getBackupFromDB(chatKey, timestamp);
+            if (backup) {
+                await restoreBackup(backup, { mode: 'inplace' });
+            } else {
+                console.error(`[${pluginId}] 弹窗内找不到指定的备份进行原位恢复:`, { timestamp, chatKey });
+                toastr.error('找不到指定的备份进行恢复');
+            }
+        } catch (error) {
+            console.error(`[${pluginId}] 弹窗内原位恢复过程中出错:`, error);
+            toastr.error(`恢复过程中出错: ${error.message || error}`);
+        } finally {
+            button.prop('disabled', false).text('原位恢复');
+        }
+    });
+
     $(document).on('click', '.chat-backup-manager-popup .backup_delete', async function() {
          const button = $(this);
          const timestamp = parseInt(button.data('timestamp'));
@@ -1147,18 +6477,21 @@ eventSource.on(event_types.APP_READY, async () => {
          const chatName = backupItem.find('.backup_chat').text();
          const date = backupItem.find('.backup_date').text();
 
-         if (confirm(`确定要永久删除这个备份吗？\n\n实体: ${entityName}\n聊天: ${chatName}\n时间: ${date}\n\n此操作无法撤销！`)) {
+         const days = extension_settings[PLUGIN_NAME].trashRetentionDays;
+         const outcome = days > 0 ? `备份将移入回收站并保留 ${days} 天。` : '回收站已关闭，此操作无法撤销！';
+         const confirmed = await callGenericPopup(
+             `确定要删除这个备份吗？<br><br>实体: ${escapeHtml(entityName)}<br>聊天: ${escapeHtml(chatName)}<br>时间: ${escapeHtml(date)}<br><br>${outcome}`,
+             POPUP_TYPE.CONFIRM,
+             null,
+             { okButton: '删除', cancelButton: '取消' }
+         );
+         if (confirmed === POPUP_RESULT.AFFIRMATIVE) {
              button.prop('disabled', true).text('删除中...');
              try {
-                 await deleteBackup(chatKey, timestamp);
-                 toastr.success('备份已删除', pluginId);
-                 backupItem.fadeOut(300, function() {
-                     $(this).remove();
-                     // 检查列表是否为空，如果为空则显示提示
-                     if ($('#chat_backup_list .backup_item').length === 0) {
-                         $('#chat_backup_list').html('<div class="backup_empty_notice">暂无保存的备份</div>');
-                     }
-                 });
+                 const trashed = await deleteBackup(chatKey, timestamp);
+                 showDeletionToast(trashed ? [[chatKey, timestamp]] : [], 1);
+                 // 淡出后重新渲染，更新分组计数和空分组
+                 backupItem.fadeOut(300, () => updateBackupsList());
 
              } catch (error) {
                  console.error(`[${pluginId}] 弹窗内删除备份失败:`, error);
@@ -1168,6 +6501,94 @@ eventSource.on(event_types.APP_READY, async () => {
          }
     });
 
+    $(document).on('click', '.chat-backup-manager-popup .backup_partial_restore', async function() {
+        const button = $(this);
+        const timestamp = parseInt(button.data('timestamp'));
+        const chatKey = button.data('key');
+        logDebug(`弹窗内点击部分恢复按钮, timestamp: ${timestamp}, chatKey: ${chatKey}`);
+
+        button.prop('disabled', true).text('恢复中...');
+        try {
+            await partialRestoreBackup(chatKey, timestamp);
+        } catch (error) {
+            console.error(`[${pluginId}] 弹窗内部分恢复过程中出错:`, error);
+            toastr.error(`部分恢复过程中出错: ${error.message || error}`);
+        } finally {
+            button.prop('disabled', false).text('部分恢复');
+        }
+    });
+
+    $(document).on('click', '.chat-backup-manager-popup .backup_pin_toggle', async function() {
+        const button = $(this);
+        const timestamp = parseInt(button.data('timestamp'));
+        const chatKey = button.data('key');
+        const pinned = button.attr('data-pinned') === 'true';
+
+        button.prop('disabled', true);
+        try {
+            await updateBackupMeta(chatKey, timestamp, { pinned: !pinned });
+            toastr.success(pinned ? '已取消固定' : '已固定备份', pluginId);
+            await updateBackupsList();
+        } catch (error) {
+            console.error(`[${pluginId}] 修改备份固定状态失败:`, error);
+            toastr.error(`操作失败: ${error.message || error}`, pluginId);
+            button.prop('disabled', false);
+        }
+    });
+
+    $(document).on('click', '.chat-backup-manager-popup .backup_edit_label', async function() {
+        const button = $(this);
+        const timestamp = parseInt(button.data('timestamp'));
+        const chatKey = button.data('key');
+
+        try {
+            const record = await getBackupMeta(chatKey, timestamp);
+            if (!record) {
+                toastr.error('找不到指定的备份');
+                return;
+            }
+            const labelInfo = await promptSnapshotLabel({ label: record.label, note: record.note }, '修改名称和备注');
+            if (!labelInfo) return;
+            await updateBackupMeta(chatKey, timestamp, labelInfo);
+            await updateBackupsList();
+        } catch (error) {
+            console.error(`[${pluginId}] 修改备份名称和备注失败:`, error);
+            toastr.error(`操作失败: ${error.message || error}`, pluginId);
+        }
+    });
+
+    $(document).on('click', '.chat-backup-manager-popup .backup_diff_btn', async function() {
+        const button = $(this);
+        const timestamp = parseInt(button.data('timestamp'));
+        const chatKey = button.data('key');
+
+        button.prop('disabled', true).text('加载中...');
+        try {
+            await showBackupDiff(chatKey, timestamp);
+        } catch (error) {
+            console.error(`[${pluginId}] 对比备份时出错:`, error);
+            toastr.error(`对比备份时出错: ${error.message || error}`);
+        } finally {
+            button.prop('disabled', false).text('对比');
+        }
+    });
+
+    $(document).on('click', '.chat-backup-manager-popup .backup_export', async function() {
+        const button = $(this);
+        const timestamp = parseInt(button.data('timestamp'));
+        const chatKey = button.data('key');
+
+        button.prop('disabled', true).text('导出中...');
+        try {
+            await exportSingleBackup(chatKey, timestamp);
+        } catch (error) {
+            console.error(`[${pluginId}] 弹窗内导出备份失败:`, error);
+            toastr.error(`导出备份失败: ${error.message || error}`, pluginId);
+        } finally {
+            button.prop('disabled', false).text('导出');
+        }
+    });
+
      $(document).on('click', '.chat-backup-manager-popup .backup_preview_btn', async function() {
         const button = $(this);
         const timestamp = parseInt(button.data('timestamp'));
@@ -1188,11 +6609,19 @@ eventSource.on(event_types.APP_READY, async () => {
 
 // --- 插件功能函数 ---
 
+// 将设置面板或备份管理器弹窗中的占位元素替换为共用的筛选栏和选择栏 (backup_list_controls.html)
+async function renderBackupListControls($container) {
+    const controlsHtml = await renderExtensionTemplateAsync(`third-party/${pluginFolderName}`, 'backup_list_controls');
+    $container.find('.backup_list_controls').replaceWith(controlsHtml);
+}
+
 /**
  * 打开聊天备份管理弹窗
  */
 async function openBackupManagerPopup() {
     logDebug('打开备份管理器弹窗...');
+    // 重新读取服务器上的备份，其他设备可能已经上传了新的备份
+    resetRemoteBackupCache();
 
     // 获取当前的上下文（角色或群组）
     const context = getContext();
@@ -1200,14 +6629,15 @@ async function openBackupManagerPopup() {
 
     // 加载弹窗的 HTML 模板
     try {
-        const popupHtml = await renderExtensionTemplateAsync(`third-party/${pluginFolderName}`, 'backup_manager_popup');
+        const $popupContent = $(await renderExtensionTemplateAsync(`third-party/${pluginFolderName}`, 'backup_manager_popup'));
+        await renderBackupListControls($popupContent);
 
         // 使用 Popup 类创建并显示弹窗
         // 确保 onClose 回调正确清除引用
         if (backupManagerPopup) {
              backupManagerPopup.dlg.close(); // 如果已有弹窗，先关闭
         }
-        backupManagerPopup = new Popup($(popupHtml), POPUP_TYPE.TEXT, null, {
+        backupManagerPopup = new Popup($popupContent, POPUP_TYPE.TEXT, null, {
             wide: true, large: true, allowVerticalScrolling: true,
             onClose: () => {
                  backupManagerPopup = null; // 清除引用
@@ -1219,18 +6649,16 @@ async function openBackupManagerPopup() {
         const title = '聊天备份' + (entityName ? ` - ${entityName}` : '');
         backupManagerPopup.dlg.querySelector('#backup-manager-title').textContent = title;
 
-        // 获取备份文件列表并填充到弹窗中
+        // 获取备份文件列表并填充到弹窗中；默认只显示当前角色/群组的备份，未选中时显示全部
         if (entityId === null) {
-            logDebug('未选中角色或群组，无法显示备份。');
-            backupManagerPopup.dlg.querySelector('#backup-list-container').style.display = 'none';
+            logDebug('未选中角色或群组，显示所有备份。');
             backupManagerPopup.dlg.querySelector('#no-entity-selected-message').style.display = 'block';
-            backupManagerPopup.dlg.querySelector('#no-entity-selected-message p').textContent = '请先选择一个角色或群组来管理其聊天备份。';
-
+            backupManagerPopup.dlg.querySelector('#no-entity-selected-message p').textContent = '当前未选择角色或群组，正在显示所有备份。';
         } else {
-            backupManagerPopup.dlg.querySelector('#backup-list-container').style.display = 'block';
             backupManagerPopup.dlg.querySelector('#no-entity-selected-message').style.display = 'none';
-            await updateBackupsList(); // 刷新列表
         }
+        backupListFilters.showAll = false;
+        await updateBackupsList(); // 刷新列表
 
         await backupManagerPopup.show();
 
@@ -1253,6 +6681,15 @@ jQuery(async () => {
         await initDatabase();
         logDebug('数据库初始化成功');
 
+        // 永久删除回收站中超过保留天数的备份
+        await purgeExpiredTrash();
+
+        // 升级后在后台重建搜索索引 (启用加密时不保存索引)
+        if (searchIndexRebuildPending && !isEncryptionEnabled()) {
+            searchIndexRebuildPending = false;
+            rebuildSearchIndex().catch(error => console.error(`[${pluginId}] 重建搜索索引失败:`, error));
+        }
+
         // Web Worker 已移除，不再需要创建和绑定
 
         // 加载插件UI
@@ -1260,7 +6697,9 @@ jQuery(async () => {
             `third-party/${pluginFolderName}`,
             'settings'
         );
-        $('#extensions_settings').append(settingsHtml);
+        const $settingsPanel = $(settingsHtml);
+        await renderBackupListControls($settingsPanel);
+        $('#extensions_settings').append($settingsPanel);
         logDebug('已添加设置界面');
 
         // 设置控制项 (保持不变)
@@ -1272,11 +6711,96 @@ jQuery(async () => {
                     min="300" max="10000" step="100" title="编辑或删除消息后，等待多少毫秒再执行备份 (建议 1000-1500)"
                     style="width: 80px;" />
             </div>
-            <div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">定时备份 (分钟):</label>
+                <input type="number" id="chat_backup_interval" value="${settings.backupIntervalMinutes}"
+                    min="${SETTINGS_LIMITS.backupIntervalMinutes.min}" max="${SETTINGS_LIMITS.backupIntervalMinutes.max}" step="1"
+                    title="打开聊天时每隔多少分钟检查一次，内容有变化才备份，可捕获作者注释、聊天元数据等不触发事件的修改 (0 为关闭)"
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">每个聊天保留数:</label>
+                <input type="number" id="chat_backup_max_per_chat" value="${settings.maxBackupsPerChat}"
+                    min="${SETTINGS_LIMITS.maxBackupsPerChat.min}" max="${SETTINGS_LIMITS.maxBackupsPerChat.max}" step="1"
+                    title="每个聊天文件保留的最近备份数量"
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">每个角色/群组保留数:</label>
+                <input type="number" id="chat_backup_max_per_entity" value="${settings.maxBackupsPerEntity}"
+                    min="${SETTINGS_LIMITS.maxBackupsPerEntity.min}" max="${SETTINGS_LIMITS.maxBackupsPerEntity.max}" step="1"
+                    title="同一角色或群组所有聊天的备份总数上限，超出时优先删除最旧的非最新备份"
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;">
                 <label style="display: inline-block; min-width: 120px;">系统最大备份数:</label>
                 <input type="number" id="chat_backup_max_total" value="${settings.maxTotalBackups}"
-                    min="1" max="10" step="1" title="系统中保留的最大备份数量"
+                    min="${SETTINGS_LIMITS.maxTotalBackups.min}" max="${SETTINGS_LIMITS.maxTotalBackups.max}" step="1"
+                    title="系统中保留的最大备份数量 (全局上限)"
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;" title="在每个聊天的保留数之外，额外为最近的若干小时/天/周各保留一个备份 (0 为关闭)">
+                <label style="display: inline-block; min-width: 120px;">按时间抽稀保留:</label>
+                <input type="number" id="chat_backup_gfs_hourly" value="${settings.gfsKeepHourly}"
+                    min="${SETTINGS_LIMITS.gfsKeepHourly.min}" max="${SETTINGS_LIMITS.gfsKeepHourly.max}" step="1"
+                    title="按小时保留的备份数" style="width: 60px;" /> 小时
+                <input type="number" id="chat_backup_gfs_daily" value="${settings.gfsKeepDaily}"
+                    min="${SETTINGS_LIMITS.gfsKeepDaily.min}" max="${SETTINGS_LIMITS.gfsKeepDaily.max}" step="1"
+                    title="按天保留的备份数" style="width: 60px;" /> 天
+                <input type="number" id="chat_backup_gfs_weekly" value="${settings.gfsKeepWeekly}"
+                    min="${SETTINGS_LIMITS.gfsKeepWeekly.min}" max="${SETTINGS_LIMITS.gfsKeepWeekly.max}" step="1"
+                    title="按周保留的备份数" style="width: 60px;" /> 周
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">安全快照保护 (小时):</label>
+                <input type="number" id="chat_backup_safety_hours" value="${settings.safetySnapshotHours}"
+                    min="${SETTINGS_LIMITS.safetySnapshotHours.min}" max="${SETTINGS_LIMITS.safetySnapshotHours.max}" step="1"
+                    title="删除或清空消息、删除聊天、重新生成、/cut、/del、恢复备份等操作前自动拍摄的快照，在此时间内不会被自动清理 (0 为不保护)"
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">存储预算 (MB):</label>
+                <input type="number" id="chat_backup_max_storage" value="${settings.maxStorageMB}"
+                    min="${SETTINGS_LIMITS.maxStorageMB.min}" max="${SETTINGS_LIMITS.maxStorageMB.max}" step="1"
+                    title="所有备份 (含回收站) 占用空间的上限，超出时先清空回收站，再从最旧的未固定备份开始永久删除，不经过回收站 (0 为不限制)"
+                    style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">回收站保留 (天):</label>
+                <input type="number" id="chat_backup_trash_days" value="${settings.trashRetentionDays}"
+                    min="${SETTINGS_LIMITS.trashRetentionDays.min}" max="${SETTINGS_LIMITS.trashRetentionDays.max}" step="1"
+                    title="手动删除和自动清理的备份先移入回收站，保留指定天数后永久删除；回收站计入存储预算 (0 为直接永久删除)"
                     style="width: 80px;" />
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">存储模式:</label>
+                <select id="chat_backup_storage_mode" title="增量存储: 每个聊天保存一个完整基准快照，之后的备份只保存新增、修改、删除或切换的消息">
+                    <option value="full" ${settings.storageMode === 'full' ? 'selected' : ''}>完整快照</option>
+                    <option value="delta" ${settings.storageMode === 'delta' ? 'selected' : ''}>增量存储</option>
+                </select>
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">备份相关状态:</label>
+                <input type="checkbox" id="chat_backup_capture_context" ${settings.captureContextState ? 'checked' : ''}
+                    title="每次备份时同时保存角色卡、关联的世界书、当前用户角色和群组成员，恢复时可查看差异并一起恢复 (会占用更多空间)">
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">加密备份:</label>
+                <input type="checkbox" id="chat_backup_encryption"
+                    title="用口令加密保存在浏览器中的聊天内容、显示名称、预览和备注 (AES-GCM)。每次打开页面后需要解锁一次才能查看和创建备份，忘记口令将无法恢复。${ENCRYPTION_PLAINTEXT_NOTICE}">
+                <span id="chat_backup_encryption_status" class="backup_encryption_status"></span>
+                <button id="chat_backup_unlock" class="menu_button" style="display: none;">解锁</button>
+                <button id="chat_backup_lock" class="menu_button" style="display: none;">锁定</button>
+            </div>
+            <div style="margin-bottom: 8px;">
+                <label style="display: inline-block; min-width: 120px;">同步到服务器:</label>
+                <input type="checkbox" id="chat_backup_sync_enabled" ${settings.syncEnabled ? 'checked' : ''}
+                    title="每次保存备份时同时上传到 SillyTavern 服务器插件 (保存在用户数据目录中)，其他设备可以在备份列表中看到并恢复。启用加密时上传的是加密后的备份 (聊天标识等仍为明文)">
+                <select id="chat_backup_sync_target" title="同步目标">
+                    ${renderSyncTargetOptions()}
+                </select>
+                <span id="chat_backup_sync_status" class="backup_sync_status"></span>
+                <button id="chat_backup_sync_push" class="menu_button" style="display: none;" title="上传服务器上还没有的本地备份 (启用同步之前或连接失败时保存的)">上传现有备份</button>
             </div>
              <div style="margin-top: 8px;">
                 <label style="display: inline-block; min-width: 120px;">调试模式:</label>
@@ -1284,23 +6808,38 @@ jQuery(async () => {
             </div>
         `);
         $('.chat_backup_controls').prepend($settingsBlock);
-
-        // 绑定设置项监听 (保持不变)
-        $(document).on('input', '#chat_backup_max_total', function() {
-            const total = parseInt($(this).val(), 10);
-            if (!isNaN(total) && total >= 1 && total <= 10) { // 限制最大值
-                settings.maxTotalBackups = total;
-                logDebug(`系统最大备份数已更新为: ${total}`);
-                saveSettingsDebounced();
-            } else {
-                // 恢复到合法值或默认值
-                const validValue = Math.max(1, Math.min(10, isNaN(total) ? DEFAULT_SETTINGS.maxTotalBackups : total));
-                $(this).val(validValue);
-                settings.maxTotalBackups = validValue;
-                logDebug(`无效或超出范围的系统最大备份数输入，已更正为: ${validValue}`);
+        updateEncryptionUI();
+        updateSyncStatus();
+
+        // 绑定数值设置项监听 (范围见 SETTINGS_LIMITS)，onChange 在值更新后调用
+        const bindNumericSetting = (selector, key, label, onChange = null) => {
+            $(document).on('input', selector, function() {
+                const { min, max } = SETTINGS_LIMITS[key];
+                const value = parseInt($(this).val(), 10);
+                if (!isNaN(value) && value >= min && value <= max) {
+                    settings[key] = value;
+                    logDebug(`${label}已更新为: ${value}`);
+                } else {
+                    // 恢复到合法值或默认值
+                    const validValue = Math.max(min, Math.min(max, isNaN(value) ? DEFAULT_SETTINGS[key] : value));
+                    $(this).val(validValue);
+                    settings[key] = validValue;
+                    logDebug(`无效或超出范围的${label}输入，已更正为: ${validValue}`);
+                }
                 saveSettingsDebounced();
-            }
-        });
+                onChange?.();
+            });
+        };
+        bindNumericSetting('#chat_backup_max_per_chat', 'maxBackupsPerChat', '每个聊天保留数');
+        bindNumericSetting('#chat_backup_max_per_entity', 'maxBackupsPerEntity', '每个角色/群组保留数');
+        bindNumericSetting('#chat_backup_max_total', 'maxTotalBackups', '系统最大备份数');
+        bindNumericSetting('#chat_backup_gfs_hourly', 'gfsKeepHourly', '按小时保留数');
+        bindNumericSetting('#chat_backup_gfs_daily', 'gfsKeepDaily', '按天保留数');
+        bindNumericSetting('#chat_backup_gfs_weekly', 'gfsKeepWeekly', '按周保留数');
+        bindNumericSetting('#chat_backup_max_storage', 'maxStorageMB', '存储预算');
+        bindNumericSetting('#chat_backup_trash_days', 'trashRetentionDays', '回收站保留天数');
+        bindNumericSetting('#chat_backup_safety_hours', 'safetySnapshotHours', '安全快照保护时间');
+        bindNumericSetting('#chat_backup_interval', 'backupIntervalMinutes', '定时备份间隔', scheduleIntervalBackup);
 
         $(document).on('input', '#chat_backup_debounce_delay', function() {
             const delay = parseInt($(this).val(), 10);
@@ -1318,10 +6857,347 @@ jQuery(async () => {
             }
         });
 
-        $(document).on('change', '#chat_backup_debug_toggle', function() {
+        $(document).on('change', '#chat_backup_storage_mode', function() {
+            const mode = $(this).val();
+            if (STORAGE_MODES.includes(mode)) {
+                settings.storageMode = mode;
+                logDebug(`存储模式已更新为: ${mode}`);
+                saveSettingsDebounced();
+            }
+        });
+
+        $(document).on('change', '#chat_backup_capture_context', function() {
+            settings.captureContextState = $(this).prop('checked');
+            logDebug(`备份相关状态已` + (settings.captureContextState ? '启用' : '禁用'));
+            saveSettingsDebounced();
+        });
+
+        // 启用/关闭加密 (取消时恢复开关状态)
+        $(document).on('change', '#chat_backup_encryption', async function() {
+            const $checkbox = $(this);
+            $checkbox.prop('disabled', true);
+            try {
+                if ($checkbox.prop('checked')) {
+                    await enableEncryption();
+                } else {
+                    await disableEncryption();
+                }
+            } catch (error) {
+                console.error(`[${pluginId}] 切换备份加密失败:`, error);
+                toastr.error(`切换备份加密失败: ${error.message || error}`, pluginId);
+            } finally {
+                $checkbox.prop('disabled', false);
+                updateEncryptionUI();
+            }
+        });
+
+        $(document).on('click', '#chat_backup_unlock, .backup_unlock', () => unlockBackupStore());
+        $(document).on('click', '#chat_backup_lock', () => lockBackupStore());
+
+        // 同步设置: 切换后重新连接并刷新列表中的远端备份
+        $(document).on('change', '#chat_backup_sync_enabled, #chat_backup_sync_target', async function() {
+            settings.syncEnabled = $('#chat_backup_sync_enabled').prop('checked');
+            const target = $('#chat_backup_sync_target').val();
+            if (isSyncTargetAvailable(target)) {
+                settings.syncTarget = target;
+            }
+            logDebug(`同步已${settings.syncEnabled ? '启用' : '禁用'}，目标: ${settings.syncTarget}`);
+            saveSettingsDebounced();
+            resetSyncTarget();
+            sealRemoteBackups();
+            await updateSyncStatus();
+            await updateBackupsList();
+        });
+
+        $(document).on('click', '#chat_backup_sync_push', () => pushMissingBackups());
+
+        $(document).on('change', '#chat_backup_debug_toggle', async function() {
             settings.debug = $(this).prop('checked');
             console.log(`[${pluginId}] 调试模式已` + (settings.debug ? '启用' : '禁用'));
+            // 调试专用的同步目标随调试模式显示或隐藏，关闭时切回默认目标
+            const targetChanged = !isSyncTargetAvailable(settings.syncTarget);
+            if (targetChanged) {
+                settings.syncTarget = DEFAULT_SETTINGS.syncTarget;
+            }
+            $('#chat_backup_sync_target').html(renderSyncTargetOptions());
             saveSettingsDebounced();
+            if (targetChanged) {
+                resetSyncTarget();
+                await updateSyncStatus();
+                await updateBackupsList();
+            }
+        });
+
+
+        // 命名快照
+        $(document).on('click', '#chat_backup_snapshot', async function() {
+            await createNamedSnapshot();
+        });
+
+        // 导出与导入
+        $(document).on('click', '#chat_backup_export_chat', async function() {
+            const chatKey = getCurrentChatKey();
+            if (!chatKey) {
+                toastr.warning('请先打开一个聊天', pluginId);
+                return;
+            }
+            try {
+                await exportChatBackups(chatKey);
+            } catch (error) {
+                console.error(`[${pluginId}] 导出当前聊天备份失败:`, error);
+                toastr.error(`导出失败: ${error.message || error}`, pluginId);
+            }
+        });
+
+        $(document).on('click', '#chat_backup_export_all', async function() {
+            try {
+                await exportAllBackups();
+            } catch (error) {
+                console.error(`[${pluginId}] 导出全部备份失败:`, error);
+                toastr.error(`导出失败: ${error.message || error}`, pluginId);
+            }
+        });
+
+        $(document).on('click', '#chat_backup_import', function() {
+            $('#chat_backup_import_file').trigger('click');
+        });
+
+        $(document).on('change', '#chat_backup_import_file', async function() {
+            const file = this.files?.[0];
+            $(this).val(''); // 允许重复选择同一个文件
+            if (!file) return;
+
+            if (!await unlockBackupStore()) return;
+            try {
+                const result = await importBackupArchive(file);
+                if (!result) return;
+                const { imported, duplicates, invalid } = result;
+                toastr.success(`导入完成: 新增 ${imported} 个，重复跳过 ${duplicates} 个，无效 ${invalid} 个`, pluginId);
+                const pinned = await reviewImportedBackupsRetention(result.importedKeys);
+                if (pinned > 0) {
+                    toastr.info(`已固定 ${pinned} 个导入的备份，自动清理不会删除它们`, pluginId);
+                }
+                await updateBackupsList();
+            } catch (error) {
+                console.error(`[${pluginId}] 导入备份归档失败:`, error);
+                toastr.error(`导入失败: ${error.message || error}`, pluginId);
+            }
+        });
+
+        // 批量备份 (设置面板和备份管理弹窗共用)
+        $(document).on('click', '.backup_bulk_entity', () => runBulkBackup('entity'));
+        $(document).on('click', '.backup_bulk_all', () => runBulkBackup('all'));
+
+        // 申请持久存储，避免浏览器在空间紧张时清除备份
+        $(document).on('click', '#chat_backup_request_persist', async function() {
+            try {
+                const granted = await navigator.storage?.persist?.();
+                if (granted) {
+                    toastr.success('已启用持久存储', pluginId);
+                } else {
+                    toastr.warning('浏览器未批准持久存储请求 (部分浏览器需要先将网站加入书签或授予通知权限)', pluginId);
+                }
+            } catch (error) {
+                console.error(`[${pluginId}] 申请持久存储失败:`, error);
+                toastr.error(`申请持久存储失败: ${error.message || error}`, pluginId);
+            }
+            updateStorageUsage();
+        });
+
+        // 跨备份搜索 (设置面板和备份管理弹窗共用)
+        let searchTimer = null;
+        $(document).on('input', '.backup_search_input', function() {
+            const $input = $(this);
+            const $results = $input.siblings('.backup_search_results');
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(async () => {
+                const query = String($input.val() || '');
+                // 加密后不保存明文的搜索索引
+                if (isEncryptionEnabled() && query.trim()) {
+                    $results.html('<div class="backup_empty_notice">已启用加密，不保存搜索索引，跨备份搜索不可用</div>');
+                    return;
+                }
+                try {
+                    renderSearchResults($results, query, await searchBackups(query));
+                } catch (error) {
+                    console.error(`[${pluginId}] 搜索备份失败:`, error);
+                    $results.html(`<div class="backup_empty_notice">搜索失败: ${escapeHtml(error.message || String(error))}</div>`);
+                }
+            }, 300);
+        });
+
+        // 备份列表的范围、筛选和排序 (设置面板和备份管理弹窗共用)
+        $(document).on('change', '.backup_list_filters :input', function() {
+            backupListFilters = readListFilters($(this).closest('.backup_list_filters'));
+            logDebug('备份列表筛选条件已更新:', backupListFilters);
+            updateBackupsList();
+        });
+
+        $(document).on('click', '.backup_filter_reset', function() {
+            backupListFilters = { ...DEFAULT_LIST_FILTERS, showAll: backupListFilters.showAll };
+            updateBackupsList();
+        });
+
+        $(document).on('click', '.backup_group_header', function() {
+            const $group = $(this).closest('.backup_group');
+            const groupKey = $group.attr('data-group');
+            const collapsed = !collapsedBackupGroups.has(groupKey);
+            if (collapsed) {
+                collapsedBackupGroups.add(groupKey);
+            } else {
+                collapsedBackupGroups.delete(groupKey);
+            }
+            // 两个列表中的同一分组保持一致
+            $('.backup_group').filter((_, element) => element.dataset.group === groupKey).toggleClass('backup_group_collapsed', collapsed);
+        });
+
+        // 回收站
+        $(document).on('click', '.backup_open_trash', () => openTrashPopup());
+
+        // 仅在服务器上的备份: 下载后恢复、下载、从服务器删除 (设置面板和备份管理弹窗共用)
+        $(document).on('click', '.backup_remote_restore', async function() {
+            const button = $(this);
+            const chatKey = String(button.attr('data-key'));
+            const timestamp = Number(button.attr('data-timestamp'));
+            button.prop('disabled', true).text('下载中...');
+            try {
+                await pullRemoteBackup(chatKey, timestamp);
+                const backup = await getBackupFromDB(chatKey, timestamp);
+                if (!backup) throw new Error('下载后找不到该备份');
+                await restoreBackup(backup);
+            } catch (error) {
+                console.error(`[${pluginId}] 恢复服务器上的备份失败:`, error);
+                toastr.error(`恢复失败: ${error.message || error}`, pluginId);
+            } finally {
+                button.prop('disabled', false).text('恢复');
+                await updateBackupsList();
+            }
+        });
+
+        $(document).on('click', '.backup_remote_pull', async function() {
+            const button = $(this);
+            button.prop('disabled', true);
+            try {
+                await pullRemoteBackup(String(button.attr('data-key')), Number(button.attr('data-timestamp')));
+                toastr.success('备份已下载到本机', pluginId);
+            } catch (error) {
+                console.error(`[${pluginId}] 下载服务器上的备份失败:`, error);
+                toastr.error(`下载失败: ${error.message || error}`, pluginId);
+            }
+            await updateBackupsList();
+        });
+
+        $(document).on('click', '.backup_remote_delete', async function() {
+            const button = $(this);
+            const chatKey = String(button.attr('data-key'));
+            const timestamp = Number(button.attr('data-timestamp'));
+            const confirmed = await callGenericPopup(
+                '确定要从服务器删除这个备份吗？本机没有它的副本，此操作无法撤销！',
+                POPUP_TYPE.CONFIRM,
+                null,
+                { okButton: '删除', cancelButton: '取消' }
+            );
+            if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+            try {
+                await getSyncTarget()?.remove(chatKey, timestamp);
+                forgetRemoteBackups([[chatKey, timestamp]]);
+                toastr.success('已从服务器删除备份', pluginId);
+            } catch (error) {
+                console.error(`[${pluginId}] 从服务器删除备份失败:`, error);
+                toastr.error(`删除失败: ${error.message || error}`, pluginId);
+            }
+            await updateBackupsList();
+        });
+
+        $(document).on('click', '.backup_trash_restore', async function() {
+            const button = $(this).prop('disabled', true);
+            const { restored, failed } = await restoreBackupsFromTrash([[button.attr('data-key'), Number(button.attr('data-timestamp'))]]);
+            if (failed > 0) {
+                toastr.error('恢复失败，详情请查看控制台', pluginId);
+            } else if (restored[0]?.deleteReason === 'prune') {
+                toastr.success('备份已恢复。它曾被自动清理，如需长期保留请固定它', pluginId);
+            } else {
+                toastr.success('备份已恢复', pluginId);
+            }
+            await renderTrashList();
+            await updateBackupsList();
+        });
+
+        $(document).on('click', '.backup_trash_restore_all', async function() {
+            const keys = (await getTrashEntries()).map(entry => [entry.chatKey, entry.timestamp]);
+            if (keys.length === 0) return;
+            $(this).prop('disabled', true);
+            const { restored, failed } = await restoreBackupsFromTrash(keys);
+            toastr[failed > 0 ? 'warning' : 'success'](`已恢复 ${restored.length} 个备份${failed ? `，${failed} 个失败` : ''}`, pluginId);
+            await renderTrashList();
+            await updateBackupsList();
+        });
+
+        $(document).on('click', '.backup_trash_purge', async function() {
+            const button = $(this);
+            const confirmed = await callGenericPopup('确定要永久删除这个备份吗？此操作无法撤销！', POPUP_TYPE.CONFIRM, null, { okButton: '永久删除', cancelButton: '取消' });
+            if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+            try {
+                await deleteTrashEntries([[button.attr('data-key'), Number(button.attr('data-timestamp'))]]);
+                toastr.success('备份已永久删除', pluginId);
+            } catch (error) {
+                toastr.error(`永久删除失败: ${error.message || error}`, pluginId);
+            }
+            await renderTrashList();
+            updateStorageUsage();
+        });
+
+        $(document).on('click', '.backup_trash_empty', async function() {
+            const keys = (await getTrashEntries()).map(entry => [entry.chatKey, entry.timestamp]);
+            if (keys.length === 0) return;
+            const confirmed = await callGenericPopup(`确定要清空回收站吗？其中的 ${keys.length} 个备份将被永久删除，此操作无法撤销！`, POPUP_TYPE.CONFIRM, null, { okButton: '清空', cancelButton: '取消' });
+            if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+            try {
+                await deleteTrashEntries(keys);
+                toastr.success(`已永久删除 ${keys.length} 个备份`, pluginId);
+            } catch (error) {
+                toastr.error(`清空回收站失败: ${error.message || error}`, pluginId);
+            }
+            await renderTrashList();
+            updateStorageUsage();
+        });
+
+        // 批量选择与批量操作
+        $(document).on('change', '.backup_select', function() {
+            setBackupsSelected([getSelectionKey(this.dataset.key, this.dataset.timestamp)], this.checked);
+        });
+
+        $(document).on('click', '.backup_group_select', function(event) {
+            event.stopPropagation(); // 不触发分组的展开/折叠
+            const keys = $(this).closest('.backup_group').find('.backup_select').get()
+                .map(box => getSelectionKey(box.dataset.key, box.dataset.timestamp));
+            setBackupsSelected(keys, this.checked);
+        });
+
+        $(document).on('click', '.backup_select_visible', () => setBackupsSelected(listedBackupKeys.visible, true));
+        $(document).on('click', '.backup_select_all', () => setBackupsSelected(listedBackupKeys.all, true));
+        $(document).on('click', '.backup_select_none', () => setBackupsSelected([...selectedBackups], false));
+        $(document).on('click', '.backup_batch_action', function() {
+            runBatchBackupAction(this.dataset.action);
+        });
+
+        // 切换角色/群组后，只显示当前角色/群组备份的列表需要刷新
+        eventSource.on(event_types.CHAT_CHANGED, () => {
+            if (!backupListFilters.showAll && $('#chat_backup_list:visible, #chat_backup_popup_list:visible').length) {
+                updateBackupsList();
+            }
+        });
+
+        $(document).on('click', '.backup_search_hit', async function() {
+            const $hit = $(this);
+            const chatKey = $hit.attr('data-key');
+            const timestamp = Number($hit.attr('data-timestamp'));
+            const index = $hit.attr('data-index');
+            const query = String($hit.closest('.backup_search').find('.backup_search_input').val() || '');
+            await previewBackup(chatKey, timestamp, {
+                startIndex: index === '' ? null : Number(index),
+                query: index === '' ? '' : query,
+            });
         });
 
 
@@ -1369,6 +7245,12 @@ jQuery(async () => {
         }
 
         setupBackupEvents();
+        registerSlashCommands();
+        setupSafetySnapshotTriggers();
+
+        // 定时备份: 页面隐藏时暂停，重新可见时恢复
+        scheduleIntervalBackup();
+        document.addEventListener('visibilitychange', scheduleIntervalBackup);
 
         // 监听扩展页面打开事件，刷新列表
         $(document).on('click', '#extensionsMenuButton', () => {
@@ -0,0 +1,166 @@
+// Chat Auto Backup 服务器插件 - 在 SillyTavern 用户数据目录中保存浏览器端备份的副本
+// 安装: 将此目录复制到 SillyTavern 的 plugins 目录 (例如 plugins/chat-auto-backup)，
+// 并在 config.yaml 中设置 enableServerPlugins: true，重启后在插件设置中启用「同步到服务器」
+// 本文件是 CommonJS 模块，使用 .cjs 扩展名，不受 SillyTavern 根目录 package.json 中 "type": "module" 的影响
+//
+// 每个备份按 [chatKey, timestamp] 标识，保存为两个文件:
+//   <数据目录>/chat-auto-backup/<chatKey 的哈希>/<timestamp>.json       完整记录 (浏览器端打包或加密后的格式)
+//   <数据目录>/chat-auto-backup/<chatKey 的哈希>/<timestamp>.meta.json  列表使用的元数据 (最后写入，存在即表示备份完整)
+// 同一标识的备份默认只保存一次；上传时指定 overwrite 才替换 (元数据修改、启用加密后重新上传)
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const express = require('express');
+
+const info = {
+    id: 'chat-auto-backup',
+    name: 'Chat Auto Backup',
+    description: '在服务器上保存聊天自动备份插件的备份副本，供其他设备列出和恢复',
+};
+
+// 用户数据目录下保存备份的子目录
+const STORAGE_DIR_NAME = 'chat-auto-backup';
+// 单个请求体的大小上限 (备份以 JSON 上传，二进制部分为 base64)
+const MAX_BODY_SIZE = '200mb';
+
+// 当前用户的备份目录
+function getStorageRoot(request) {
+    const root = request.user?.directories?.root;
+    if (!root) {
+        throw new Error('无法确定用户数据目录');
+    }
+    return path.join(root, STORAGE_DIR_NAME);
+}
+
+// 聊天标识可能包含任意字符，目录名使用它的哈希
+function getChatDirectory(storageRoot, chatKey) {
+    return path.join(storageRoot, crypto.createHash('sha256').update(chatKey).digest('hex').slice(0, 32));
+}
+
+// 校验请求中的备份标识，无效时返回 null
+function readBackupKey(body) {
+    const { chatKey, timestamp } = body || {};
+    if (typeof chatKey !== 'string' || chatKey.length === 0 || !Number.isSafeInteger(timestamp) || timestamp < 0) {
+        return null;
+    }
+    return { chatKey, timestamp };
+}
+
+function getBackupFiles(request, { chatKey, timestamp }) {
+    const directory = getChatDirectory(getStorageRoot(request), chatKey);
+    return {
+        directory,
+        recordFile: path.join(directory, `${timestamp}.json`),
+        metaFile: path.join(directory, `${timestamp}.meta.json`),
+    };
+}
+
+// 先写入临时文件再重命名，避免中断时留下不完整的文件
+async function writeFileAtomic(file, data) {
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempFile, data, 'utf8');
+    await fs.promises.rename(tempFile, file);
+}
+
+// 包装路由处理函数: 统一记录错误并返回 500
+function handle(action) {
+    return async (request, response) => {
+        try {
+            await action(request, response);
+        } catch (error) {
+            console.error(`[${info.id}] ${request.path} 失败:`, error);
+            response.status(500).send(error.message || String(error));
+        }
+    };
+}
+
+/**
+ * 注册插件路由 (挂载在 /api/plugins/chat-auto-backup 下)
+ * @param {import('express').Router} router
+ */
+async function init(router) {
+    router.use(express.json({ limit: MAX_BODY_SIZE }));
+
+    // 浏览器端用于检查插件是否已安装
+    router.post('/probe', (request, response) => {
+        response.json({ ok: true });
+    });
+
+    // 所有备份的元数据
+    router.post('/list', handle(async (request, response) => {
+        const storageRoot = getStorageRoot(request);
+        const backups = [];
+        if (!fs.existsSync(storageRoot)) {
+            return response.json({ backups });
+        }
+        const directories = await fs.promises.readdir(storageRoot, { withFileTypes: true });
+        for (const entry of directories.filter(item => item.isDirectory())) {
+            const directory = path.join(storageRoot, entry.name);
+            const files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.meta.json'));
+            for (const file of files) {
+                try {
+                    backups.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+                } catch (error) {
+                    console.warn(`[${info.id}] 无法读取备份元数据 ${file}，已跳过:`, error.message);
+                }
+            }
+        }
+        response.json({ backups });
+    }));
+
+    // 指定备份的完整记录
+    router.post('/get', handle(async (request, response) => {
+        const key = readBackupKey(request.body);
+        if (!key) {
+            return response.status(400).send('无效的备份标识');
+        }
+        const { recordFile, metaFile } = getBackupFiles(request, key);
+        if (!fs.existsSync(metaFile) || !fs.existsSync(recordFile)) {
+            return response.json({ record: null });
+        }
+        const record = await fs.promises.readFile(recordFile, 'utf8');
+        response.type('application/json').send(`{"record":${record}}`);
+    }));
+
+    // 保存备份；已存在相同标识的备份时保留原有的，overwrite 为 true 时替换
+    router.post('/put', handle(async (request, response) => {
+        const key = readBackupKey(request.body);
+        const { meta, record, overwrite } = request.body || {};
+        if (!key || !meta || typeof meta !== 'object' || !record || typeof record !== 'object'
+            || meta.chatKey !== key.chatKey || meta.timestamp !== key.timestamp) {
+            return response.status(400).send('无效的备份数据');
+        }
+        const { directory, recordFile, metaFile } = getBackupFiles(request, key);
+        if (overwrite !== true && fs.existsSync(metaFile)) {
+            return response.json({ stored: false });
+        }
+        await fs.promises.mkdir(directory, { recursive: true });
+        await writeFileAtomic(recordFile, JSON.stringify(record));
+        await writeFileAtomic(metaFile, JSON.stringify(meta));
+        response.json({ stored: true });
+    }));
+
+    // 删除备份 (不存在时视为成功)
+    router.post('/delete', handle(async (request, response) => {
+        const key = readBackupKey(request.body);
+        if (!key) {
+            return response.status(400).send('无效的备份标识');
+        }
+        const { directory, recordFile, metaFile } = getBackupFiles(request, key);
+        await fs.promises.rm(metaFile, { force: true });
+        await fs.promises.rm(recordFile, { force: true });
+        if (fs.existsSync(directory) && (await fs.promises.readdir(directory)).length === 0) {
+            await fs.promises.rmdir(directory);
+        }
+        response.json({ deleted: true });
+    }));
+
+    console.log(`[${info.id}] 服务器插件已加载`);
+}
+
+async function exit() {
+    // 没有需要释放的资源
+}
+
+module.exports = { init, exit, info };